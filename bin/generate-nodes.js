@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+// Generates Node class skeletons from the nodedefs of the profile.
+// Usage: pgc-generate-nodes [profileFolder] [outputFolder] [--force]
+// Existing files are not overwritten, unless --force is used.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Profile = require('../lib/Profile.js');
+const generator = require('../lib/generator.js');
+
+const args = process.argv.slice(2);
+const force = args.includes('--force');
+const folders = args.filter(function(arg) {
+  return arg !== '--force';
+});
+
+const profileFolder = folders[0] || 'profile/';
+const outputFolder = folders[1] || 'Nodes/';
+
+const profile = new Profile(profileFolder).load();
+
+if (profile.errors.length) {
+  profile.errors.forEach(function(error) {
+    console.error('Error: %s', error);
+  });
+  process.exit(1);
+}
+
+const files = generator.generateNodeClasses(profile);
+
+if (!fs.existsSync(outputFolder)) {
+  fs.mkdirSync(outputFolder);
+}
+
+Object.keys(files).forEach(function(filename) {
+  const file = path.join(outputFolder, filename);
+
+  if (fs.existsSync(file) && !force) {
+    console.log('Skipped %s: File exists', file);
+  } else {
+    fs.writeFileSync(file, files[filename]);
+    console.log('Created %s', file);
+  }
+});
@@ -7,6 +7,29 @@ module.exports = {
   // Node class from which all nodes are extended from
   Node: require('./lib/Node.js'),
 
+  // Base class of the controller node, with the usual controller commands
+  Controller: require('./lib/Controller.js'),
+
+  // Transports used to connect to Polyglot. Extend Transport to create your own
+  Transport: require('./lib/Transport.js'),
+  IotTransport: require('./lib/IotTransport.js'),
+  LocalTransport: require('./lib/LocalTransport.js'),
+
+  // ISY profile parser and validator
+  Profile: require('./lib/Profile.js'),
+
+  // Generates Node class skeletons from the profile (See bin/generate-nodes)
+  generator: require('./lib/generator.js'),
+
+  // Units of measure registry, used to validate and convert driver values
+  uom: require('./lib/uom.js'),
+
+  // Keeps the OAuth tokens encrypted, and refreshes them before they expire
+  OAuthManager: require('./lib/OAuthManager.js'),
+
+  // Polyglot Cloud simulator, to test the NodeServer without the cloud
+  Simulator: require('./lib/Simulator.js'),
+
   // Logger utility for the NodeServer (Entries will be tagged with NS:)
   logger: require('./lib/logger.js').ns,
 };
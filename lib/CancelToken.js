@@ -0,0 +1,44 @@
+'use strict';
+
+const events = require('events');
+
+// Signal of a CancelToken. Has the subset of AbortSignal used by the node
+// servers: aborted, onabort, and addEventListener / removeEventListener for
+// the 'abort' event. AbortController is not available before Node 15.
+class CancelSignal extends events.EventEmitter {
+  constructor() {
+    super();
+
+    this.aborted = false;
+    this.onabort = null;
+  }
+
+  addEventListener(event, listener) {
+    this.on(event, listener);
+  }
+
+  removeEventListener(event, listener) {
+    this.removeListener(event, listener);
+  }
+}
+
+// Used like an AbortController: abort() aborts the signal
+module.exports = class CancelToken {
+  constructor() {
+    this.signal = new CancelSignal();
+  }
+
+  abort() {
+    const signal = this.signal;
+
+    if (!signal.aborted) {
+      signal.aborted = true;
+
+      if (typeof signal.onabort === 'function') {
+        signal.onabort({ type: 'abort' });
+      }
+
+      signal.emit('abort', { type: 'abort' });
+    }
+  }
+};
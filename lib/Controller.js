@@ -0,0 +1,167 @@
+'use strict';
+
+const logger = require('./logger.js');
+const Node = require('./Node.js');
+
+// Interface events telling the connection state
+const connectEvents = ['mqttConnected'];
+const disconnectEvents = ['mqttOffline', 'mqttClose', 'mqttEnd'];
+
+const builtInCommands = ['DISCOVER', 'REMOVE_NOTICES', 'UPDATE_PROFILE',
+  'QUERY', 'SET_DEBUG'];
+
+// Base class of the controller node.
+// ST is 1 while connected to Polyglot, and 0 when disconnected or stopped.
+// healthDriver (null by default), if set and the node has this driver, is set
+// to the number of times the connection was lost since the start.
+//
+// Built-in commands. Once the node is added, the ones its nodedef does not
+// accept are removed (all of them are kept if the nodedef is not found):
+//   DISCOVER: Calls discover(), to be overridden
+//   REMOVE_NOTICES: Removes all the notices
+//   UPDATE_PROFILE: Sends the profile to ISY
+//   QUERY: Queries all the nodes
+//   SET_DEBUG: Sets the log level (value is the winston level number:
+//     0=error, 1=warn, 2=info, 3=http, 4=verbose, 5=debug, 6=silly)
+module.exports = class Controller extends Node {
+  constructor(nodeDefId, polyInterface, primary, address, name) {
+    super(nodeDefId, polyInterface, primary, address, name);
+
+    this.isController = true;
+
+    this.drivers = {
+      ST: { value: 0, uom: 2 },
+    };
+
+    // Add your own commands with Object.assign(this.commands, { ... })
+    this.commands = {
+      DISCOVER: this.onDiscover,
+      REMOVE_NOTICES: this.onRemoveNotices,
+      UPDATE_PROFILE: this.onUpdateProfile,
+      QUERY: this.onQuery,
+      SET_DEBUG: this.onSetDebug,
+    };
+
+    // Driver counting the connection losses. Example: 'GV0'
+    this.healthDriver = null;
+    this.disconnections = 0;
+
+    this._connected = false;
+    this._connectionListeners = {};
+  }
+
+  // Looks for new devices, and adds their nodes. Override it.
+  discover() {
+    logger.warn('Controller %s: discover() is not implemented', this.address);
+  }
+
+  // Queries all the nodes, including this one
+  queryAll() {
+    const polyInterface = this.polyInterface;
+    const nodes = polyInterface.getNodes();
+
+    Object.keys(nodes).forEach(function(address) {
+      try {
+        nodes[address].query();
+      } catch (err) {
+        logger.errorStack(err, 'Query of node %s failed:', address);
+      }
+    });
+  }
+
+  // Sets the level of all the loggers. level is a level name ('debug') or
+  // number (5). See logger.setLevel()
+  setLogLevel(level) {
+    const name = logger.setLevel(level);
+
+    logger.info('Log level set to %s', name);
+    return name;
+  }
+
+  onDiscover() {
+    return this.discover();
+  }
+
+  onRemoveNotices() {
+    this.polyInterface.removeNoticesAll();
+  }
+
+  onUpdateProfile() {
+    return this.polyInterface.updateProfileAsync();
+  }
+
+  onQuery() {
+    this.queryAll();
+  }
+
+  onSetDebug(message) {
+    this.setLogLevel(message.value);
+  }
+
+  onAdded() {
+    const _this = this;
+
+    this._removeUnacceptedCommands();
+
+    connectEvents.concat(disconnectEvents).forEach(function(event) {
+      _this._connectionListeners[event] = function() {
+        _this._setConnected(connectEvents.includes(event));
+      };
+
+      _this.polyInterface.on(event, _this._connectionListeners[event]);
+    });
+
+    this._setConnected(this.polyInterface.isConnected());
+  }
+
+  onRemoved() {
+    this._removeConnectionListeners();
+  }
+
+  onStop() {
+    // The disconnection that follows is not a connection loss
+    this._removeConnectionListeners();
+    this.setDriver('ST', 0);
+  }
+
+  // Removes the built-in commands the nodedef does not accept, so that the
+  // commands of the node match its nodedef (See validateProfile). The
+  // profile is read once the node is added, not when it is constructed.
+  _removeUnacceptedCommands() {
+    const _this = this;
+    const nodeDef = this.polyInterface.getProfile().getNodeDef(this.id);
+
+    if (nodeDef) {
+      builtInCommands.forEach(function(cmd) {
+        if (!nodeDef.accepts[cmd]) {
+          delete _this.commands[cmd];
+        }
+      });
+    }
+  }
+
+  _removeConnectionListeners() {
+    const _this = this;
+
+    Object.keys(this._connectionListeners).forEach(function(event) {
+      _this.polyInterface.removeListener(event,
+        _this._connectionListeners[event]);
+    });
+
+    this._connectionListeners = {};
+  }
+
+  _setConnected(connected) {
+    if (this._connected && !connected) {
+      this.disconnections++;
+    }
+
+    this._connected = connected;
+    this.setDriver('ST', connected ? 1 : 0);
+
+    // Reported once connected, as reports are lost while disconnected
+    if (connected && this.healthDriver && this.getDriver(this.healthDriver)) {
+      this.setDriver(this.healthDriver, this.disconnections);
+    }
+  }
+};
@@ -0,0 +1,250 @@
+'use strict';
+
+const logger = require('./logger.js');
+
+// Key where the schema version of the custom data is stored
+const versionKey = '_schemaVersion';
+
+// Key-value store on top of the custom data.
+// Writes are debounced, so that many changes result in a single customdata
+// message sent to Polyglot.
+module.exports = class CustomDataStore {
+  // options: debounce: Delay in ms before the data is sent (default 1000)
+  constructor(polyInterface, options = {}) {
+    this.polyInterface = polyInterface;
+    this.debounce = 'debounce' in options ? options.debounce : 1000;
+
+    // Local copy of the data, while changes are not yet sent
+    this._data = null;
+    this._timer = null;
+
+    // Migrations, sorted by version: [{ version, fn }]
+    this._migrations = [];
+
+    // Used to serialize update()
+    this._lock = Promise.resolve();
+  }
+
+  // Current data. Includes the changes not yet sent.
+  _current() {
+    return this._data || this.polyInterface.getCustomData() || {};
+  }
+
+  // Returns a copy of the data at path ([] for root)
+  _read(path) {
+    let value = this._current();
+
+    for (const key of path) {
+      if (!value || typeof value !== 'object' || !(key in value)) {
+        return undefined;
+      }
+      value = value[key];
+    }
+
+    return copy(value);
+  }
+
+  // Modifies the data at path with fn(object), then schedules the write
+  _write(path, fn) {
+    if (!this._data) {
+      this._data = copy(this._current());
+    }
+
+    let target = this._data;
+
+    for (const key of path) {
+      if (!target[key] || typeof target[key] !== 'object') {
+        target[key] = {};
+      }
+      target = target[key];
+    }
+
+    fn(target);
+
+    // Keeps the config up to date, so that getCustomData() has the changes
+    this.polyInterface._config.customData = this._data;
+
+    this._scheduleFlush();
+  }
+
+  _scheduleFlush() {
+    const _this = this;
+
+    if (this._timer) {
+      clearTimeout(this._timer);
+    }
+
+    this._timer = setTimeout(function() {
+      _this.flush();
+    }, this.debounce);
+  }
+
+  // Sends the pending changes to Polyglot now
+  flush() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+
+    if (this._data) {
+      const data = this._data;
+      this._data = null;
+      this.polyInterface.saveCustomData(data);
+    }
+  }
+
+  // Drops the changes not yet sent. Used when the whole custom data is saved.
+  discard() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+
+    this._data = null;
+  }
+
+  // True if some changes are not yet sent
+  hasPendingChanges() {
+    return !!this._data;
+  }
+
+  // Returns a view of the store where keys are stored under customData[name]
+  namespace(name) {
+    return new Namespace(this, [name]);
+  }
+
+  get(key, defaultValue) {
+    return new Namespace(this, []).get(key, defaultValue);
+  }
+
+  getAll() {
+    return new Namespace(this, []).getAll();
+  }
+
+  set(key, value) {
+    new Namespace(this, []).set(key, value);
+  }
+
+  delete(key) {
+    new Namespace(this, []).delete(key);
+  }
+
+  update(key, fn) {
+    return new Namespace(this, []).update(key, fn);
+  }
+
+  // Version of the data stored in Polyglot. 0 if not set.
+  getVersion() {
+    return this._current()[versionKey] || 0;
+  }
+
+  // Version expected by the code: the highest migration version
+  getCodeVersion() {
+    return this._migrations.length ?
+      this._migrations[this._migrations.length - 1].version : 0;
+  }
+
+  // Registers a migration to version. fn(data) receives a copy of the whole
+  // custom data, and must modify it, or return the new data.
+  registerMigration(version, fn) {
+    this._migrations.push({ version: version, fn: fn });
+    this._migrations.sort(function(a, b) {
+      return a.version - b.version;
+    });
+  }
+
+  // Runs the migrations newer than the stored version, in order.
+  // Called automatically on the initial config.
+  migrate() {
+    const storedVersion = this.getVersion();
+    const migrations = this._migrations.filter(function(migration) {
+      return migration.version > storedVersion;
+    });
+
+    if (!migrations.length) {
+      return;
+    }
+
+    let data = copy(this._current());
+
+    migrations.forEach(function(migration) {
+      logger.info('Migrating custom data from version %s to %s',
+        data[versionKey] || 0, migration.version);
+
+      const result = migration.fn(data);
+      if (result && typeof result === 'object') {
+        data = result;
+      }
+      data[versionKey] = migration.version;
+    });
+
+    this._write([], function(target) {
+      Object.keys(target).forEach(function(key) {
+        delete target[key];
+      });
+      Object.assign(target, data);
+    });
+
+    // Migrations are saved right away
+    this.flush();
+  }
+};
+
+// View of the store under a path of keys
+class Namespace {
+  constructor(store, path) {
+    this.store = store;
+    this.path = path;
+  }
+
+  namespace(name) {
+    return new Namespace(this.store, this.path.concat(name));
+  }
+
+  get(key, defaultValue) {
+    const value = this.store._read(this.path.concat(key));
+    return value === undefined ? defaultValue : value;
+  }
+
+  // Returns a copy of all the keys of this namespace
+  getAll() {
+    return this.store._read(this.path) || {};
+  }
+
+  set(key, value) {
+    this.store._write(this.path, function(target) {
+      target[key] = copy(value);
+    });
+  }
+
+  delete(key) {
+    this.store._write(this.path, function(target) {
+      delete target[key];
+    });
+  }
+
+  // Read-modify-write: Sets key to the value returned by fn(currentValue).
+  // fn can be async. Updates are run one at a time, so that each update
+  // sees the result of the previous one.
+  update(key, fn) {
+    const _this = this;
+    const store = this.store;
+
+    const run = store._lock.then(async function() {
+      const value = await fn(_this.get(key));
+      _this.set(key, value);
+      return value;
+    });
+
+    // The next update waits for this one, even if it failed
+    store._lock = run.catch(function() {});
+
+    return run;
+  }
+}
+
+function copy(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports.Namespace = Namespace;
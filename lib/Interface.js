@@ -6,48 +6,134 @@
 const fs = require('fs');
 const events = require('events');
 // const zlib = require('zlib');
-const mqtt = require('mqtt');
 const logger = require('./logger.js');
 const Queue = require('./Queue.js');
 const Node = require('./Node.js');
+const MessageBuffer = require('./MessageBuffer.js');
+const RequestRegistry = require('./RequestRegistry.js');
+const utils = require('./utils.js');
+const Profile = require('./Profile.js');
+const TypedParams = require('./TypedParams.js');
+const configDiff = require('./configDiff.js');
+const CustomDataStore = require('./CustomDataStore.js');
+const Secrets = require('./Secrets.js');
+const Scheduler = require('./Scheduler.js');
+const Lifecycle = require('./Lifecycle.js');
+const withDeadline = Lifecycle.withDeadline;
+const NodePoller = require('./NodePoller.js');
+const IotTransport = require('./IotTransport.js');
+const LocalTransport = require('./LocalTransport.js');
 
 // This is the interface class to Polyglot
 module.exports = class Interface extends events.EventEmitter {
   // All node classes have to be declared to the interface
-  constructor(declaredNodeClasses) {
+  // options (Environment variables are used when not specified):
+  //   transport: 'iot' (default, PGC), 'local', or a Transport instance
+  //   endpoint, port: MQTT broker host and port (MQTTENDPOINT)
+  //   stage: 'test' or 'prod' (STAGE)
+  //   nodeserver: Initial config, object or JSON string (NODESERVER)
+  //   certs: { key, cert, ca } file paths or buffers, for the iot transport
+  //   username, password, tls: Used by the 'local' transport
+  //   topics: { recv, send, isy } overrides the Polyglot topics
+  //   profileFolder: Folder holding the profile files (profile/)
+  //   serverJson: Path to server.json (server.json)
+  //   offlineBuffer: Max number of messages kept while disconnected, sent on
+  //     reconnect. true for 1000. Disabled by default.
+  //   logLevel: Level of the loggers ('debug' by default)
+  //   logLevelParam: Name of a custom param which sets the log levels
+  //   secretKey: Key used to encrypt the secrets (SECRETKEY)
+  // Throws an error if the configuration is missing or invalid.
+  constructor(declaredNodeClasses, options = {}) {
     super();
     const _this = this;
 
     this.isCloud = true; // Allows the nodeserver to detect if using PGC
 
-    // MQTT Host and port
-    this._mqttHost = process.env.MQTTENDPOINT;
-    this._mqttPort = 8883;
+    const errors = [];
 
-    this._stage = process.env.STAGE;
+    if (!Array.isArray(declaredNodeClasses)) {
+      errors.push('declaredNodeClasses must be an array of Node classes');
+      declaredNodeClasses = [];
+    }
+
+    // MQTT Host
+    this._mqttHost = options.endpoint || process.env.MQTTENDPOINT;
+
+    this._stage = options.stage || process.env.STAGE;
+
+    if (!this._stage) {
+      errors.push('stage is missing (options.stage or env STAGE)');
+    }
 
     // We need the profileNum, userId & Worker from env var NODESERVER
-    try {
-      // Read NODESERVER environment variable which contains initial config
-      this._config = JSON.parse(process.env.NODESERVER);
-      // console.log('unparsed config:', process.env.NODESERVER);
-
-      // ISY Profile number (int)
-      this._profileNum = typeof this._config.profileNum === 'string' ?
-        parseInt(this._config.profileNum, 10) :
-        this._config.profileNum;
-
-      this._userId = this._config.userId;
-      this._worker = this._config.worker;
-      this._id = this._config.id;
-    } catch (err) {
-      logger.errorStack(err, 'Error reading nodeserver config:');
+    this._config = this._readNodeserverConfig(
+      options.nodeserver || process.env.NODESERVER, errors);
+
+    // ISY Profile number (int)
+    this._profileNum = typeof this._config.profileNum === 'string' ?
+      parseInt(this._config.profileNum, 10) :
+      this._config.profileNum;
+
+    this._userId = this._config.userId;
+    this._worker = this._config.worker;
+    this._id = this._config.id;
+
+    this._profileFolder = options.profileFolder || 'profile/';
+    this._serverJson = options.serverJson || 'server.json';
+
+    // Certificates used by the iot transport
+    this._certs = Object.assign({
+      // Working dir should be /app/nodeserver
+      key: '../certs/private.key',
+      cert: '../certs/iot.crt',
+      ca: '../certs/AmazonRootCA1.pem',
+    }, options.certs);
+
+    if (!options.transport || options.transport === 'iot') {
+      if (!this._mqttHost) {
+        errors.push('endpoint is missing (options.endpoint or ' +
+          'env MQTTENDPOINT)');
+      }
+
+      Object.keys(this._certs).forEach(function(cert) {
+        [].concat(_this._certs[cert]).forEach(function(certFile) {
+          if (typeof certFile === 'string' && !fs.existsSync(certFile)) {
+            errors.push(`certs.${cert} file ${certFile} does not exist`);
+          }
+        });
+      });
+    }
+
+    // Log level, also used when the logLevelParam custom param is removed
+    this._logLevel = options.logLevel || null;
+    this._logLevelParam = options.logLevelParam || null;
+    this._logLevelParamValue = undefined; // Last value applied
+
+    if (this._logLevel !== null) {
+      try {
+        logger.setLevel(this._logLevel);
+      } catch (err) {
+        errors.push(err.message);
+      }
+    }
+
+    if (errors.length) {
+      const err = new Error('Invalid Interface configuration: ' +
+        errors.join('; '));
+      err.errors = errors;
+      throw err;
     }
 
     this._clientId = `${this._worker}_${this._profileNum}_${this._userId}`;
 
-    this._recvTopic = `${this._stage}/ns/${this._worker}`;
-    this._sendTopic = `${this._stage}/ns`;
+    const topics = options.topics || {};
+    this._recvTopic = topics.recv || `${this._stage}/ns/${this._worker}`;
+    this._sendTopic = topics.send || `${this._stage}/ns`;
+
+    // Topics of other services, such as isy. Default is ${stage}/${service}
+    this._serviceTopics = Object.assign({}, topics);
+    delete this._serviceTopics.recv;
+    delete this._serviceTopics.send;
     this._logTopic = `${this._stage}/frontend/${this._userId}/logs/` +
       `${this._worker}`;
 
@@ -100,25 +186,93 @@ module.exports = class Interface extends events.EventEmitter {
     //   },
     // });
 
-    // This is the mqtt client, the result of mqtt.connect()
-    this._mqttClient = null;
+    // Connection to Polyglot (See Transport.js)
+    this._transport = this._createTransport(options);
 
     // Are we connected to the queue?
     this._mqttClientConnected = false;
 
-    // Some polyglot messages are queued for processing in this queue
+    // Messages sent with sendMessage while disconnected, if enabled
+    this._offlineBuffer = options.offlineBuffer ?
+      new MessageBuffer(options.offlineBuffer === true ?
+        1000 : options.offlineBuffer) :
+      null;
+
+    // Some polyglot messages are queued for processing in this queue.
+    // Messages for different nodes can be processed in parallel. Config and
+    // polls are processed first, alone.
+    const queueOptions = Object.assign({
+      concurrency: 1,
+      timeout: 60000,
+      maxDepth: 0,
+      overflow: 'dropOldest',
+    }, options.queue);
+
     this._queue = new Queue(
       this._onMessageQueued,
       this,
-      'Message Queue Processor');
+      'Message Queue Processor',
+      Object.assign(queueOptions, {
+        getKey: function(opt) {
+          const content = opt.messageContent;
+          const perNode = ['command', 'query', 'status'];
+
+          return perNode.includes(opt.messageKey) && content &&
+            content.address ? 'node-' + content.address : null;
+        },
+        getPriority: function(opt) {
+          return ['config', 'polls'].includes(opt.messageKey) ? 1 : 0;
+        },
+      }));
+
+    // A command dropped because the queue is full will never run. ISY gets
+    // a failure report, as for the commands timing out.
+    this._queue.on('dropped', function(entry) {
+      if (entry.item.messageKey === 'command') {
+        _this._reportCommand(entry.item.messageContent, false);
+      }
+    });
 
     // We use this to track the messages sent to Polyglot
     // We do this to return the response to sendMessageAsync
-    this._messageAsyncTracking = {};
+    this._pendingRequests = new RequestRegistry();
 
     // true if we received stop or delete
     this._shuttingDown = false;
 
+    // Typed params schema (saveTypedParams), and the last parse result
+    this._typedParams = null;
+    this._typedParamsResult = null;
+
+    // Profile loaded by getProfile()
+    this._profile = null;
+
+    // Key-value store on top of the custom data
+    this._customDataStore = new CustomDataStore(this,
+      options.customDataStore || {});
+
+    // Secrets encrypted in the custom data
+    this._secrets = new Secrets(this, {
+      key: options.secretKey || process.env.SECRETKEY,
+    });
+
+    // Shutdown hooks, and SIGTERM/SIGINT handling
+    this._lifecycle = new Lifecycle();
+    this._handleSignals = options.handleSignals !== false;
+    this._shutdownTimeout = options.shutdownTimeout || 10000;
+    this._stopPromise = null;
+
+    // Dispatches the polls to the nodes onPoll(), if nodePolls is set
+    this._nodePoller = options.nodePolls ?
+      new NodePoller(this, options.nodePolls === true ? {} :
+        options.nodePolls) :
+      null;
+
+    // Runs the polls, and the jobs added by the nodeserver.
+    // Paused until we are connected.
+    this._scheduler = new Scheduler();
+    this._scheduler.pause();
+
     // These are the declared nodes classes (see below)
     this._nodeClasses = {};
 
@@ -128,6 +282,10 @@ module.exports = class Interface extends events.EventEmitter {
     // We use this to detect config sent continuously in a loop
     this._configCounter = 0;
 
+    // true once a config was processed. The config processed on reconnect is
+    // compared with the previous one.
+    this._configProcessed = false;
+
     // Set this_nodeClasses correctly on startup
     declaredNodeClasses.forEach(function(nodeClass) {
       _this._nodeClasses[nodeClass.nodeDefId] = nodeClass;
@@ -140,50 +298,37 @@ module.exports = class Interface extends events.EventEmitter {
 
     const _this = this;
 
-    const sslOptions = {
-      // Working dir should be /app/nodeserver
-      key: fs.readFileSync('../certs/private.key'),
-      cert: fs.readFileSync('../certs/iot.crt'),
-      ca: [fs.readFileSync('../certs/AmazonRootCA1.pem')],
-    };
-
-    const mqttOptions = {
-      port: this._mqttPort,
-      clientId: 'mqttjs_' + Math.random().toString(16).substr(2, 8),
-      // username: 'admin',
-      // password: 'admin',
-      rejectUnauthorized: true,
-      resubscribe: true,
-
-      // Will send this payload if it disconnects. This does not work.
-      // will: {
-      //   topic: this._sendTopic,
-      //   payload: JSON.stringify({
-      //     connected: false,
-      //     topic: this._recvTopic,
-      //     userId: this._userId,
-      //     profileNum: '' + this._profileNum,
-      //     id: '' + this._id,
-      //   }),
-      // },
-    };
-
-    this._mqttClient = mqtt.connect('mqtts://' + this._mqttHost,
-      Object.assign({}, sslOptions, mqttOptions));
+    if (this._handleSignals) {
+      this._lifecycle.handleSignals(function(signal) {
+        logger.warn('Received %s, stopping', signal);
+
+        _this.stop()
+        .then(function() {
+          process.exit(0);
+        })
+        .catch(function(err) {
+          logger.errorStack(err, 'Error stopping:');
+          process.exit(1);
+        });
+      });
+    }
 
-    this._mqttClient.on('error', () => {
+    this._transport.on('error', () => {
       logger.error('MQTT Error');
     });
 
-    this._mqttClient.on('connect', () => {
+    this._transport.on('connect', () => {
       try {
         logger.info('MQTT client connected');
         _this._mqttClientConnected = true;
+        _this._scheduler.resume();
 
-        _this._mqttClient.subscribe(_this._recvTopic);
+        _this._transport.subscribe(_this._recvTopic);
 
         _this._sendMessage({ connected: true });
 
+        _this._flushOfflineBuffer();
+
         _this.emit('mqttConnected');
 
         // PGC does not send config on first connect.
@@ -194,48 +339,206 @@ module.exports = class Interface extends events.EventEmitter {
       }
     });
 
-    this._mqttClient.on('message', (topic, message) => {
+    this._transport.on('message', (topic, message) => {
       // We can get empty messages, such as when deleting the nodeserver
       if (message.length) {
         try {
           const parsedMessage = JSON.parse(message);
           _this._onMessage(parsedMessage);
         } catch (err) {
-          logger.errorStack(err, 'Error processing %s:',
-            _this._mqttTopicPolyglotConnection);
+          logger.errorStack(err, 'Error processing %s:', topic);
         }
       }
     });
 
-    this._mqttClient.on('reconnect', () => {
-      _this._mqttClientConnected = true;
+    // Emitted when a reconnection is attempted. We are connected only once
+    // 'connect' is emitted.
+    this._transport.on('reconnect', () => {
       _this.emit('mqttReconnect');
     });
 
-    this._mqttClient.on('offline', () => {
+    this._transport.on('offline', () => {
       _this._mqttClientConnected = false;
+      _this._scheduler.pause();
       _this.emit('mqttOffline');
     });
 
-    this._mqttClient.on('close', () => {
+    this._transport.on('close', () => {
       _this._mqttClientConnected = false;
+      _this._scheduler.pause();
       _this.emit('mqttClose');
     });
 
-    this._mqttClient.on('end', () => {
+    this._transport.on('end', () => {
       _this._mqttClientConnected = false;
+      _this._scheduler.pause();
+      _this._rejectPendingRequests('MQTT connection ended');
       _this.emit('mqttEnd');
     });
+
+    this._transport.connect();
+  }
+
+  // Parses the initial nodeserver config, and validates the properties we need.
+  // Problems found are added to errors.
+  _readNodeserverConfig(nodeserver, errors) {
+    let config = {};
+
+    if (!nodeserver) {
+      errors.push('nodeserver config is missing (options.nodeserver or ' +
+        'env NODESERVER)');
+      return config;
+    }
+
+    if (typeof nodeserver === 'string') {
+      try {
+        config = JSON.parse(nodeserver);
+      } catch (err) {
+        errors.push('nodeserver config is not valid JSON: ' + err.message);
+        return config;
+      }
+    } else {
+      // Copy, as the config is modified by the interface
+      config = Object.assign({}, nodeserver);
+    }
+
+    if (!config || typeof config !== 'object') {
+      errors.push('nodeserver config is not an object');
+      return {};
+    }
+
+    ['profileNum', 'userId', 'worker'].forEach(function(prop) {
+      if (config[prop] === undefined || config[prop] === null ||
+        config[prop] === '') {
+        errors.push(`nodeserver config is missing ${prop}`);
+      }
+    });
+
+    if (config.profileNum !== undefined &&
+      isNaN(parseInt(config.profileNum, 10))) {
+      errors.push(`nodeserver config profileNum ${config.profileNum} ` +
+        'is not a number');
+    }
+
+    // The config message always has these. Make sure they exist.
+    config.nodes = config.nodes || {};
+    config.customParams = config.customParams || {};
+    config.customData = config.customData || {};
+    config.notices = config.notices || {};
+
+    return config;
+  }
+
+  // Creates the transport selected in the constructor options
+  _createTransport(options) {
+    const transport = options.transport || 'iot';
+
+    if (typeof transport === 'object') {
+      return transport; // Transport instance
+    }
+
+    const transportOptions = {
+      endpoint: this._mqttHost,
+      port: options.port,
+      certs: this._certs,
+      username: options.username,
+      password: options.password,
+      tls: options.tls,
+    };
+
+    switch (transport) {
+      case 'iot':
+        return new IotTransport(transportOptions);
+
+      case 'local':
+        return new LocalTransport(transportOptions);
+
+      default:
+        throw new Error(`Invalid transport ${transport}. ` +
+          'Should be iot, local or a Transport instance');
+    }
   }
 
+  // Stops gracefully: Processes the messages queued, runs the
+  // shutdown hooks and the nodes onStop(), sends the driver reports and
+  // custom data not yet sent, then disconnects once Polyglot acknowledged.
+  // All of it is limited by the shutdownTimeout option.
+  // Resolves when stopped. Calling it again returns the same promise.
   stop() {
+    if (!this._stopPromise) {
+      this._stopPromise = this._stop();
+    }
+
+    return this._stopPromise;
+  }
+
+  async _stop() {
+    const _this = this;
+    const deadline = Date.now() + this._shutdownTimeout;
+
+    logger.info('Interface stopping');
+
+    // No more polls
+    this._scheduler.stop();
+    this._lifecycle.removeSignalHandlers();
+
+    // The messages queued are processed. Those still queued after the
+    // deadline, or received after, are skipped.
+    await withDeadline(this._queue.waitIdle(), deadline, 'Message queue');
+    this._shuttingDown = true;
+
+    await this._lifecycle.runHooks(deadline);
+
+    await withDeadline(Promise.all(Object.keys(this._nodes)
+    .map(function(address) {
+      return _this._nodes[address];
+    })
+    .filter(function(node) {
+      return typeof node.onStop === 'function';
+    })
+    .map(function(node) {
+      return withDeadline(Promise.resolve().then(function() {
+        return node.onStop();
+      }), deadline, `Node ${node.address} onStop`);
+    })), deadline, 'Nodes onStop');
+
+    // Sends the custom data changes not yet saved
+    this._customDataStore.flush();
+
+    // Sends the driver reports delayed or batched
+    Object.keys(this._nodes).forEach(function(address) {
+      _this._nodes[address].flushReports();
+      _this._nodes[address]._stopReports();
+    });
+
     // This also sends the MQTT will (tells Polyglot it is disconnected)
-    this._sendMessage({ connected: false });
-    this._mqttClient.end();
-    clearInterval(this['shortPollTimer']);
-    clearInterval(this['longPollTimer']);
+    // With qos 1, this resolves once the broker has received it. Not sent
+    // while disconnected, as it would never be acknowledged.
+    if (this.isConnected()) {
+      await withDeadline(this._sendMessage({ connected: false }, null,
+        { qos: 1 }), deadline, 'Disconnect message');
+    } else {
+      logger.warn('Not connected, disconnect message not sent');
+    }
+
+    this._rejectPendingRequests('Interface stopped');
+
+    await withDeadline(this._transport.end(), deadline, 'MQTT disconnect');
+
+    logger.info('Interface stopped');
   }
 
+  // Adds an async function called when the interface stops, before the
+  // nodes onStop()
+  addShutdownHook(fn) {
+    this._lifecycle.addHook(fn);
+  }
+
+  removeShutdownHook(fn) {
+    this._lifecycle.removeHook(fn);
+  }
+
+
   // Handler for incoming Polyglot messages
   _onMessage(message) {
     const _this = this;
@@ -292,7 +595,8 @@ module.exports = class Interface extends events.EventEmitter {
   }
 
   // Handler for Polyglot messages that are queued
-  async _onMessageQueued(opt) {
+  // signal is aborted if the message times out
+  async _onMessageQueued(opt, signal) {
     const _this = this;
     const messageKey = opt.messageKey;
     const messageContent = opt.messageContent;
@@ -320,27 +624,48 @@ module.exports = class Interface extends events.EventEmitter {
 
         case 'command':
           node = _this.getNode(messageContent.address);
-          if (node) {
-            // Example messageContent: {
-            //  address: 'node003',
-            //  cmd: 'DON',
-            //  value: '6',
-            //  uom: '51'
-            // }
-            await node.runCmd(messageContent);
-            if (messageContent.hasOwnProperty('query') &&
-              messageContent.query.hasOwnProperty('requestId')) {
-              this._sendMessage({
-                report: {
-                  requestId: messageContent.query.requestId,
-                  success: true,
-                },
-              }, 'isy');
+
+          // Example messageContent: {
+          //  address: 'node003',
+          //  cmd: 'DON',
+          //  value: '6',
+          //  uom: '51',
+          //  query: { requestId: '1234' }
+          // }
+          try {
+            if (!node) {
+              throw new Error(`Node ${messageContent.address} does not exist`);
             }
+
+            // Fails right away if the command times out
+            await Promise.race([
+              node.runCmd(messageContent, signal),
+              abortedPromise(signal),
+            ]);
+            this._reportCommand(messageContent, true);
+          } catch (err) {
+            logger.error('Command %s on node %s failed: %s',
+              messageContent.cmd, messageContent.address, err.message);
+            this._reportCommand(messageContent, false);
+
+            // Counted as failed by the queue, and kept in the dead letters
+            throw err;
           }
           break;
 
         case 'polls':
+          const pollsChanges = configDiff.diffObjects({
+            shortPoll: this._config.shortPoll,
+            longPoll: this._config.longPoll,
+          }, {
+            shortPoll: messageContent.shortPoll,
+            longPoll: messageContent.longPoll,
+          });
+
+          if (pollsChanges.hasChanges) {
+            this.emit('pollsChanged', pollsChanges);
+          }
+
           // Change poll frequency if required
           this._config.shortPoll = messageContent.shortPoll;
           this._config.longPoll = messageContent.longPoll;
@@ -367,22 +692,37 @@ module.exports = class Interface extends events.EventEmitter {
       }
     } else {
       logger.warn('Message %s ignored: Shutting down nodeserver', messageKey);
+
+      // Commands not run are reported as failed, like the ones timing out
+      if (messageKey === 'command') {
+        this._reportCommand(messageContent, false);
+      }
     }
   }
 
   // Sets a newParamsDetected flag to the newConfig object
   _setParamsDetected(oldConfig, newConfig) {
-    const oldConfigParamsKeys = oldConfig && oldConfig.customParams ?
-      Object.keys(oldConfig.customParams) : [];
-    const newConfigParamsKeys = newConfig && newConfig.customParams ?
-      Object.keys(newConfig.customParams) : [];
-
-    const changedParams = newConfigParamsKeys.filter(function(key) {
-      return !(oldConfigParamsKeys.includes(key) &&
-        oldConfig.customParams[key] === newConfig.customParams[key]);
-    });
+    newConfig.newParamsDetected = configDiff.diffObjects(
+      oldConfig ? oldConfig.customParams : {},
+      newConfig ? newConfig.customParams : {}).hasChanges;
+  }
+
+  // Emits the events for the parts of the config which changed
+  _emitConfigChanges(changes) {
+    const _this = this;
+    const events = {
+      customParams: 'customParamsChanged',
+      customData: 'customDataChanged',
+      notices: 'noticesChanged',
+      polls: 'pollsChanged',
+      nodes: 'nodesChanged',
+    };
 
-    newConfig.newParamsDetected = changedParams.length !== 0;
+    Object.keys(events).forEach(function(part) {
+      if (changes[part].hasChanges) {
+        _this.emit(events[part], changes[part]);
+      }
+    });
   }
 
   // Handler for the config message
@@ -405,24 +745,43 @@ module.exports = class Interface extends events.EventEmitter {
       },
     };
 
+    // Node lifecycle hooks to call once the config is processed:
+    // [{ node, hook, args }]
+    const hooks = [];
+
+    // On reconnect, the config processed again is the previous one. Its
+    // driver values are older than the values reported since.
+    const staleDrivers = config === this._config && this._configProcessed;
+
     // Use the nodes configuration we get from the config to build the Nodes
     // with the class (Sets up this._nodes)
     Object.keys(config.nodes).forEach(function(address) {
       const n = config.nodes[address];
       let node;
+      let isNew = false;
 
-      // If this node does not exists yet in this._nodes, create it
-      if (!_this._nodes[address]) {
+      // If this node does not exists yet in this._nodes, create it.
+      // Also re-created if the nodedef changed.
+      if (!_this._nodes[address] || _this._nodes[address].id !== n.nodedefid) {
         const NodeClass = _this._nodeClasses[n.nodedefid];
         const primary = n.primary; // const primary = n.primary.slice(5);
 
         if (NodeClass) {
+          // The jobs of the previous instance are removed with it
+          if (_this._nodes[address]) {
+            _this._nodes[address]._stopReports();
+            _this._scheduler.removeNode(address);
+            hooks.push({ node: _this._nodes[address], hook: 'onRemoved' });
+          }
+
           node = new NodeClass(_this, primary, address, n.name);
 
           // Convert drivers, in case they are not correctly defined
           node.convertDrivers();
 
           _this._nodes[address] = node;
+          isNew = true;
+          hooks.push({ node: node, hook: 'onAdded' });
         } else {
           logger.error('Config node with address %s has an invalid class %s',
             address, n.nodedef);
@@ -433,19 +792,46 @@ module.exports = class Interface extends events.EventEmitter {
 
       // If node did not have a valid class, we just ignore it
       if (node) {
+        const wasEnabled = node.enabled;
+
+        // Driver values changed outside of the nodeserver
+        if (!isNew && !staleDrivers) {
+          const changedDrivers = _this._changedDrivers(node, n.drivers);
+
+          if (Object.keys(changedDrivers).length) {
+            hooks.push({
+              node: node,
+              hook: 'onConfigUpdated',
+              args: [changedDrivers],
+            });
+          }
+        }
+
         // node is either a new node, or the existing node.
         // Update the properties of the node with the config
-        ['controller', 'drivers', 'isprimary', 'profileNum', 'timeAdded']
+        ['controller', 'drivers', 'isprimary', 'profileNum', 'timeAdded',
+          'name', 'enabled', 'added']
         .forEach(function(prop) {
           if (prop in n) {
             // logger.info('prop in n %s %s', prop, n[prop])
             if (propertyMapper[prop]) {
               node[prop] = propertyMapper[prop](n[prop]);
+            } else if (prop === 'drivers') {
+              if (isNew || !staleDrivers) {
+                node.drivers = _this._mergeDrivers(node, n.drivers);
+              }
             } else {
               node[prop] = n[prop];
             }
           }
         });
+
+        if (node.enabled !== wasEnabled) {
+          hooks.push({
+            node: node,
+            hook: node.enabled ? 'onEnabled' : 'onDisabled',
+          });
+        }
       }
     });
 
@@ -456,7 +842,10 @@ module.exports = class Interface extends events.EventEmitter {
 
         if (!found) {
           logger.info('Node %s was removed from the config', address);
+          _this._nodes[address]._stopReports();
+          hooks.push({ node: _this._nodes[address], hook: 'onRemoved' });
           delete _this._nodes[address];
+          _this._scheduler.removeNode(address);
         }
       });
     }
@@ -464,33 +853,171 @@ module.exports = class Interface extends events.EventEmitter {
     // Sets the newParamsDetected flag in the config
     this._setParamsDetected(this._config, config);
 
+    // What changed since the last config. Everything is new on the first
+    // config processed.
+    const changes = configDiff.diffConfigs(
+      this._configProcessed ? this._config : {}, config);
+
+    this._configProcessed = true;
+
     this._config = config;
 
+    // Upgrades the custom data to the version expected by the nodeserver
+    if (isInitialConfig) {
+      this._customDataStore.migrate();
+    }
+
+    this._parseTypedParams(config);
+
+    if (this._logLevelParam) {
+      this._applyLogLevelParam(config.customParams ?
+        config.customParams[this._logLevelParam] : undefined);
+    }
+
     // Start/Restart polling, if required.
     this._checkPollingInterval('short', config.shortPoll);
     this._checkPollingInterval('long', config.longPoll);
 
+    hooks.forEach(function(call) {
+      _this._callNodeHook(call.node, call.hook, call.args || []);
+    });
+
     // Let the node server know we have received a config
     // Processes the config, unless we are detecting a loop
     if (!this._detectConfigLoop()) {
       this.emit('config', Object.assign({}, config, {
         isInitialConfig: isInitialConfig,
         nodes: this._nodes,
+        typedParams: this.getTypedParams(),
+        typedParamsErrors: this.getTypedParamsErrors(),
+        changes: changes,
       }));
+
+      this._emitConfigChanges(changes);
     } else {
       logger.error('Config processing loop detected iteration %d. ' +
         'Skipping config processing.', _this._configCounter);
     }
   }
 
+  // Sets the log levels from the logLevelParam custom param, if it changed.
+  // The value is a level, or levels by label, like 'info, NS:node003=debug'.
+  // If removed, the levels are set back to the logLevel option.
+  _applyLogLevelParam(value) {
+    const _this = this;
+
+    if (value === this._logLevelParamValue) {
+      return;
+    }
+
+    this._logLevelParamValue = value;
+
+    logger.resetLevels();
+    if (this._logLevel !== null) {
+      logger.setLevel(this._logLevel);
+    }
+
+    ('' + (value || '')).split(',').map(function(part) {
+      return part.trim();
+    })
+    .filter(function(part) {
+      return part;
+    })
+    .forEach(function(part) {
+      const index = part.lastIndexOf('=');
+      const label = index === -1 ? null : part.slice(0, index).trim();
+      const level = index === -1 ? part : part.slice(index + 1).trim();
+
+      try {
+        logger.setLevel(level, label);
+        logger.info('Log level of %s set to %s', label || 'all loggers',
+          level);
+      } catch (err) {
+        logger.error('Custom param %s: %s', _this._logLevelParam,
+          err.message);
+      }
+    });
+  }
+
+  // Tells ISY if the command succeeded, if it expects a report
+  _reportCommand(cmdMessage, success) {
+    if (cmdMessage.hasOwnProperty('query') &&
+      cmdMessage.query.hasOwnProperty('requestId')) {
+      this._sendMessage({
+        report: {
+          requestId: cmdMessage.query.requestId,
+          success: success,
+        },
+      }, 'isy');
+    }
+  }
+
+  // Returns the drivers which have a different value in configDrivers:
+  // { driver: { oldValue, newValue } }
+  _changedDrivers(node, configDrivers) {
+    const changed = {};
+
+    Object.keys(configDrivers || {}).forEach(function(driver) {
+      const oldDriver = node.drivers[driver];
+      const newValue = configDrivers[driver].value;
+
+      // Changed by the node server, not yet reported
+      if (node._reportPending(driver)) {
+        return;
+      }
+
+      if (!oldDriver || '' + oldDriver.value !== '' + newValue) {
+        changed[driver] = {
+          oldValue: oldDriver ? oldDriver.value : undefined,
+          newValue: newValue,
+        };
+      }
+    });
+
+    return changed;
+  }
+
+  // Calls a lifecycle hook of a node (onAdded, onPoll...).
+  // Resolves when done. Errors are logged.
+  _callNodeHook(node, hook, args = []) {
+    return Promise.resolve()
+    .then(function() {
+      return node[hook].apply(node, args);
+    })
+    .catch(function(err) {
+      logger.errorStack(err, 'Node %s %s failed:', node.address, hook);
+    });
+  }
+
+  // Drivers received in the config. The node driver definitions (limits,
+  // report properties) are kept, the values are updated. The values changed
+  // locally and not yet reported (held by minInterval or deadband, or
+  // batched) are kept: the config has an older value.
+  _mergeDrivers(node, configDrivers) {
+    const drivers = node.drivers;
+    const merged = {};
+
+    Object.keys(configDrivers || {}).forEach(function(driver) {
+      if (node._reportPending(driver)) {
+        merged[driver] = Object.assign({}, drivers[driver]);
+      } else {
+        merged[driver] = Object.assign({}, drivers[driver],
+          configDrivers[driver]);
+      }
+    });
+
+    return merged;
+  }
+
   // Used to detect if we get configs looping
   _detectConfigLoop() {
     const _this = this;
     this._configCounter++;
 
+    // Does not keep the process running once the interface is stopped
     setTimeout(function() {
       _this._configCounter--;
-    }, 10000);
+    }, 10000).unref();
 
     // Trigger is over 30 configs within 10 seconds
     return this._configCounter > 30;
@@ -499,7 +1026,6 @@ module.exports = class Interface extends events.EventEmitter {
   // Starts/Restarts polling for poll=='short' or poll=='long' if changed
   _checkPollingInterval(poll, newValue) {
     const valueProp = poll + 'PollValue'; // shortPollValue | longPollValue
-    const timerProp = poll + 'PollTimer'; // shortPollTimer | longPollTimer
 
     if (this[valueProp] !== newValue) {
 
@@ -510,25 +1036,62 @@ module.exports = class Interface extends events.EventEmitter {
         logger.info('Set %sPoll value to %s', poll, newValue);
       }
 
-      // If polling is already active, we need to stop it first.
-      if (this[timerProp]) {
-        clearInterval(this[timerProp]);
-      }
-
       this[valueProp] = newValue;
 
-      // setInterval will keep a reference to this bool, instead of the string
       const isLongPoll = poll === 'long';
       const _this = this;
 
-      this[timerProp] = setInterval(function() {
+      // Polling is disabled with a value of 0
+      if (!newValue) {
+        this._scheduler.remove(poll + 'Poll');
+        return;
+      }
+
+      // Replaces the job if it exists (shortPoll | longPoll).
+      // A poll still running after the interval is abandoned, so that the
+      // next poll runs.
+      this._scheduler.add(poll + 'Poll', {
+        interval: newValue,
+        timeout: newValue,
+      }, function() {
         if (!_this._shuttingDown) {
-          _this.emit('poll', isLongPoll);
+          return _this._emitPoll(isLongPoll);
         }
-      }, _this[valueProp] * 1000);
+      });
+    }
+  }
+
+  // Emits the poll event, and polls the nodes. Resolves when the async
+  // listeners are done, so that a slow poll is not run again before it is
+  // finished. The node polls are not waited for: they have their own
+  // timeout, and a node still polling is skipped.
+  _emitPoll(isLongPoll) {
+    const _this = this;
+
+    if (this._nodePoller) {
+      const nodes = Object.keys(this._nodes).map(function(address) {
+        return _this._nodes[address];
+      });
+
+      this._nodePoller.poll(nodes, isLongPoll);
     }
+
+    return Promise.all(this.rawListeners('poll').map(function(listener) {
+      return listener.call(_this, isLongPoll);
+    }));
+  }
+
+  // Queue processing the messages received from Polyglot
+  getQueue() {
+    return this._queue;
   }
 
+  // Scheduler used for the polls. Use it to add your own jobs.
+  getScheduler() {
+    return this._scheduler;
+  }
+
+
   // Sample result message
   // {
   //     profileNum: '1',
@@ -553,50 +1116,79 @@ module.exports = class Interface extends events.EventEmitter {
   //     }
   // }
 
-  // Handle result messages (result of commands such as addnode)
+  // Handle result messages (result of commands such as addnode, removenode
+  // or status). Resolves or rejects the matching sendMessageAsync.
   _onResult(messageContent) {
     const _this = this;
-    const trackedCommands = ['addnode'];
-    const ignoredKeys = [
-      'removenode', 'profileNum',
-      'statusCode', 'seq', 'elapsed', 'status', // isyresponse messages
+
+    // Properties of the result message that are not results
+    const metadataKeys = [
+      'profileNum', 'isyresponse', 'statusCode', 'seq', 'elapsed',
     ];
 
-    // Finds the tracked request, if exists, and resolve/reject it.
     Object.keys(messageContent).forEach(function(key) {
-      if (trackedCommands.includes(key)) {
-        const address = messageContent[key].address;
-        const trackedRequest = _this._messageAsyncTracking[key + '-' + address];
-        if (trackedRequest) {
-          if (messageContent[key].success) {
-            trackedRequest.resolve(messageContent[key].reason);
-          } else {
-            trackedRequest.reject(messageContent[key].reason);
-          }
-        }
-      } else if (key === 'isyresponse') {
-        try {
-          logger.info('Received result ISY Response: %s',
-            messageContent.status.reason);
-        } catch (err) {
-          logger.errorStack(err, 'Error on Received result:');
-          logger.info('Received result ISY Response: %o', messageContent);
-        }
-      } else if (ignoredKeys.includes(key)) {
-      } else {
+      const result = messageContent[key];
+
+      if (metadataKeys.includes(key)) {
+        return;
+      }
+
+      if (!result || typeof result !== 'object' || !('success' in result)) {
         logger.info('Received result for unhandled command %s: %o',
           key, messageContent);
+        return;
+      }
+
+      const address = _this._unprefixAddress(result.address);
+      const trackingKey = _this._trackingKey(key, address);
+      let tracked;
+
+      if ('isyresponse' in messageContent) {
+        logger.info('Received result ISY Response: %s', result.reason);
+      }
+
+      if (result.success) {
+        tracked = _this._pendingRequests.resolve(trackingKey, result.reason);
+      } else {
+        const err = new Error(result.reason);
+
+        // Allows catch to detect that Polyglot or ISY returned a failure
+        err.name = 'resultError';
+        err.statusCode = messageContent.statusCode;
+        err.result = result;
+        tracked = _this._pendingRequests.reject(trackingKey, err);
+      }
+
+      if (!tracked && !result.success) {
+        logger.warn('Received failed result for %s: %s', key, result.reason);
       }
     });
   }
 
-  // Finds the controller node. null if there are none.
-  _getController() {
+  // Key used to find the sendMessageAsync request waiting for a result
+  _trackingKey(key, address = null) {
+    return address ? key + '-' + address : key;
+  }
+
+  // ISY responses use the full address (n001_controller). Returns the
+  // address used by Polyglot (controller)
+  _unprefixAddress(address) {
+    const prefix = 'n' + ('' + this._profileNum).padStart(3, '0') + '_';
+
+    return typeof address === 'string' && address.startsWith(prefix) ?
+      address.slice(prefix.length) :
+      address;
+  }
+
+  // Finds the controller node (controller in the config, or isController
+  // set by the class, like the Controller class). null if there are none.
+  getController() {
     const _this = this;
 
     const controllers = Object.keys(this._nodes)
     .filter(function(address) {
-      return _this._nodes[address].controller;
+      const node = _this._nodes[address];
+      return node.controller || node.isController;
     })
     .map(function(address) {
       return _this._nodes[address];
@@ -611,10 +1203,23 @@ module.exports = class Interface extends events.EventEmitter {
 
   // Sends a message to Polyglot. Don't check the connection status,
   // don't wait for the result. Used internally only.
-  _sendMessage(message, service = null) {
+  // options are passed to the transport publish ({ qos })
+  // Resolves once published. Errors are logged.
+  _sendMessage(message, service = null, options = {}) {
+    return this._publish(message, service, options)
+    .catch(function(err) {
+      logger.errorStack(err, 'Error publishing to %s:',
+        service || 'polyglot');
+    });
+  }
+
+  // Same as _sendMessage, but rejects if the message cannot be published
+  _publish(message, service = null, options = {}) {
     // We need to add the node to the message (string)
 
-    const topic = service ? `${this._stage}/${service}` : this._sendTopic;
+    const topic = service ?
+      this._serviceTopics[service] || `${this._stage}/${service}` :
+      this._sendTopic;
 
     message.userId = this._userId;
     message.topic = this._recvTopic;
@@ -623,12 +1228,23 @@ module.exports = class Interface extends events.EventEmitter {
 
     this.emit('messageSent', message);
 
-    this._mqttClient.publish(topic, JSON.stringify(message));
+    return this._transport.publish(topic, JSON.stringify(message), options);
+  }
+
+  // Sends a message to Polyglot with qos 1. Resolves when the broker has
+  // acknowledged it. Used for the messages Polyglot does not answer with a
+  // result message (customparams, customdata, notices, uploadProfile).
+  async _publishAsync(message, service = null) {
+    if (!this.isConnected()) {
+      throw new Error('Polyglot not connected');
+    }
+
+    await this._publish(message, service, { qos: 1 });
   }
 
   // Returns whether we are running on pgtest.isy.io or polyglot.isy.io
   getStage() {
-    return process.env.STAGE; // 'test' | 'prod'
+    return this._stage; // 'test' | 'prod'
   }
 
   // Returns true if we are connected to MQTT.
@@ -637,57 +1253,94 @@ module.exports = class Interface extends events.EventEmitter {
   }
 
   // Sends a message to Polyglot. Don't wait for the result.
+  // If disconnected, the message is buffered if the offlineBuffer is enabled.
   sendMessage(message) {
     if (this.isConnected()) {
       this._sendMessage(message);
+    } else if (this._offlineBuffer) {
+      const result = this._offlineBuffer.add(message);
+      this.emit('messageBuffered', message);
+
+      if (result.coalesced) {
+        this.emit('messageCoalesced', result.coalesced, message);
+      }
+
+      if (result.dropped) {
+        logger.warn('Offline buffer full, message dropped: %o',
+          result.dropped);
+        this.emit('messageDropped', result.dropped);
+      }
     }
   }
 
-  // Sends a message to Polyglot. Wait for the result message
-  async sendMessageAsync(key, message, timeout = 15000) {
+  // Sends the messages buffered while disconnected, in order
+  _flushOfflineBuffer() {
     const _this = this;
 
-    // If we have an existing promise for the same key, make sure it is
-    // finished before starting a new one
-    if (_this._messageAsyncTracking[key] &&
-      _this._messageAsyncTracking[key].promise) {
+    if (this._offlineBuffer && this._offlineBuffer.length) {
+      const items = this._offlineBuffer.drain();
+      logger.info('Sending %d messages buffered while disconnected',
+        items.length);
 
-      try {
-        await _this._messageAsyncTracking[key].promise;
-      } catch (e) {
-      }
+      items.forEach(function(item) {
+        _this._sendMessage(item.message, item.service);
+      });
+
+      this.emit('offlineBufferFlushed', items.length);
     }
+  }
 
-    let newTracker = {};
+  // Offline buffer metrics. null if the offlineBuffer is not enabled.
+  getOfflineBufferStats() {
+    return this._offlineBuffer ? this._offlineBuffer.stats() : null;
+  }
 
-    newTracker.promise = new Promise(function(resolve, reject) {
-      if (_this.isConnected()) {
-        newTracker.resolve = resolve;
-        newTracker.reject = reject;
+  // Sends a message to Polyglot. Wait for the result message.
+  // key is the result type, followed by -address if the result has an address.
+  // Example: addnode-node003, removenode-node003, status-node003, customdata
+  // options can be the timeout in ms (0 for none), or an object:
+  //   { timeout: 15000, signal: AbortSignal, service: null }
+  async sendMessageAsync(key, message, options = 15000, service = null) {
+    if (typeof options !== 'object' || options === null) {
+      options = { timeout: options, service: service };
+    }
 
-        _this._sendMessage(message);
+    const timeout = 'timeout' in options ? options.timeout : 15000;
 
-        if (timeout) {
-          // Fail the request if timeout is reached
-          setTimeout(function() {
-            let err = new Error('Polyglot result message not received');
+    if (!this.isConnected()) {
+      throw new Error('Polyglot not connected');
+    }
 
-            // Allows catch to detect if the error is due to a timeout.
-            err.name = 'timeout';
-            reject(err);
-          }, timeout);
-        }
-      } else {
-        reject(new Error('Polyglot not connected'));
-      }
+    const request = this._pendingRequests.add(key, {
+      timeout: timeout,
+      signal: options.signal,
+      message: message,
     });
 
-    // When we get the result message, we have access to the resolve and
-    // reject callbacks. The promise is also available so that the next
-    // sendMessageAsync can wait for this one to finish
-    _this._messageAsyncTracking[key] = newTracker;
+    // Could have been aborted already
+    if (!request.settled) {
+      this._sendMessage(message, options.service || null);
+    }
 
-    return newTracker.promise;
+    return request.promise;
+  }
+
+  // Requests sent with sendMessageAsync still waiting for a result
+  // Returns [{ id, key, message, createdAt, age, timeout }]
+  getPendingRequests() {
+    return this._pendingRequests.list();
+  }
+
+  // Rejects all requests waiting for a result
+  _rejectPendingRequests(reason) {
+    if (this._pendingRequests.size) {
+      logger.warn('Rejecting %d pending requests: %s',
+        this._pendingRequests.size, reason);
+
+      let err = new Error(reason);
+      err.name = 'disconnected';
+      this._pendingRequests.rejectAll(err);
+    }
   }
 
   // Adds a new node to polyglot and ISY
@@ -716,8 +1369,235 @@ module.exports = class Interface extends events.EventEmitter {
 
       logger.info('Sending message', message);
 
-      return await this.sendMessageAsync('addnode-' + node.address, message);
+      return await this.sendMessageAsync(
+        this._trackingKey('addnode', node.address), message);
+    }
+  }
+
+  // Adds multiple nodes. Primary nodes are added before their children.
+  // Nodes already existing with the same nodedef and name are skipped.
+  // Resolves with [{ address, node, status, reason }], status being
+  // 'added', 'skipped' or 'failed'. Emits addNodesProgress for each node.
+  async addNodes(nodes, options = {}) {
+    const _this = this;
+    const concurrency = options.concurrency || 5;
+    const total = nodes.length;
+    const failedPrimaries = [];
+    let done = 0;
+
+    const isPrimary = function(node) {
+      return !node || !node.primary || node.primary === node.address;
+    };
+
+    const addOne = async function(node) {
+      let result;
+
+      if (!(node instanceof Node)) {
+        result = {
+          address: node ? node.address : undefined,
+          node: node,
+          status: 'failed',
+          reason: 'node is not an instance of Node class',
+        };
+      } else if (failedPrimaries.includes(node.primary)) {
+        result = {
+          address: node.address,
+          node: node,
+          status: 'failed',
+          reason: `Primary node ${node.primary} was not added`,
+        };
+      } else if (_this._isSameNode(_this._nodes[node.address], node)) {
+        result = {
+          address: node.address,
+          node: node,
+          status: 'skipped',
+          reason: 'Node already exists',
+        };
+      } else {
+        try {
+          result = {
+            address: node.address,
+            node: node,
+            status: 'added',
+            reason: await _this.addNode(node),
+          };
+        } catch (err) {
+          result = {
+            address: node.address,
+            node: node,
+            status: 'failed',
+            reason: err.message,
+            error: err,
+          };
+        }
+      }
+
+      if (result.status === 'failed') {
+        logger.error('addNodes: node %s was not added: %s',
+          result.address, result.reason);
+
+        if (node && isPrimary(node)) {
+          failedPrimaries.push(node.address);
+        }
+      }
+
+      done++;
+      _this.emit('addNodesProgress', {
+        done: done,
+        total: total,
+        result: result,
+      });
+
+      return result;
+    };
+
+    const primaries = nodes.filter(isPrimary);
+    const children = nodes.filter(function(node) {
+      return !isPrimary(node);
+    });
+
+    const results = (await utils.mapConcurrent(primaries, concurrency, addOne))
+    .concat(await utils.mapConcurrent(children, concurrency, addOne));
+
+    // Same order as nodes
+    return nodes.map(function(node) {
+      return results[primaries.includes(node) ?
+        primaries.indexOf(node) :
+        primaries.length + children.indexOf(node)];
+    });
+  }
+
+  // Synchronizes the nodes with the list of nodes that should exist.
+  // Nodes missing are added, nodes not in desiredNodes are removed, renamed
+  // nodes are updated and nodes with a different nodedef are re-created.
+  // The controller node is never removed.
+  // options:
+  //   dryRun: Only returns the planned changes
+  //   remove: Remove the nodes not in desiredNodes (default true)
+  //   protect: Addresses of other nodes that must not be removed
+  //   concurrency: Passed to addNodes
+  // Resolves with the plan { add, remove, update, recreate, unchanged,
+  // protected }, each a list of { address, node, existingNode }. Unless
+  // dryRun is set, each entry also has a status & reason once executed.
+  async syncNodes(desiredNodes, options = {}) {
+    const plan = this._planNodesSync(desiredNodes, options);
+
+    if (options.dryRun) {
+      return plan;
     }
+
+    logger.info('syncNodes: %d to add, %d to remove, %d to update, ' +
+      '%d to re-create', plan.add.length, plan.remove.length,
+      plan.update.length, plan.recreate.length);
+
+    const setResult = function(entry, status, reason) {
+      entry.status = status;
+      entry.reason = reason;
+    };
+
+    // Removed first, so that re-created nodes can reuse the address
+    for (const entry of plan.remove.concat(plan.recreate)) {
+      try {
+        setResult(entry, 'removed',
+          await this.delNodeAsync(entry.existingNode));
+      } catch (err) {
+        logger.error('syncNodes: node %s was not removed: %s',
+          entry.address, err.message);
+        setResult(entry, 'failed', err.message);
+      }
+    }
+
+    // Re-created nodes which could not be removed are not added again
+    const toAdd = plan.add.concat(plan.update, plan.recreate
+    .filter(function(entry) {
+      return entry.status !== 'failed';
+    }));
+
+    const results = await this.addNodes(toAdd.map(function(entry) {
+      return entry.node;
+    }), { concurrency: options.concurrency });
+
+    const addedStatus = function(entry) {
+      if (plan.update.includes(entry)) {
+        return 'updated';
+      }
+      return plan.recreate.includes(entry) ? 'recreated' : 'added';
+    };
+
+    toAdd.forEach(function(entry, i) {
+      setResult(entry, results[i].status === 'added' ?
+        addedStatus(entry) : results[i].status,
+      results[i].reason);
+    });
+
+    this.emit('nodesSynced', plan);
+
+    return plan;
+  }
+
+  // Computes the changes required by syncNodes
+  _planNodesSync(desiredNodes, options) {
+    const _this = this;
+    const protect = options.protect || [];
+    const plan = {
+      add: [],
+      remove: [],
+      update: [],
+      recreate: [],
+      unchanged: [],
+      protected: [],
+    };
+
+    const desired = {};
+    desiredNodes.forEach(function(node) {
+      if (!(node instanceof Node)) {
+        throw new Error('syncNodes error: node is not an instance of Node');
+      }
+      desired[node.address] = node;
+    });
+
+    Object.keys(desired).forEach(function(address) {
+      const node = desired[address];
+      const existingNode = _this._nodes[address];
+      const entry = {
+        address: address,
+        node: node,
+        existingNode: existingNode,
+      };
+
+      if (!existingNode) {
+        plan.add.push(entry);
+      } else if (existingNode.id !== node.id) {
+        plan.recreate.push(entry);
+      } else if (existingNode.name !== node.name) {
+        plan.update.push(entry);
+      } else {
+        plan.unchanged.push(entry);
+      }
+    });
+
+    Object.keys(this._nodes).forEach(function(address) {
+      const existingNode = _this._nodes[address];
+      const entry = { address: address, existingNode: existingNode };
+
+      if (!desired[address]) {
+        if (existingNode.controller || existingNode.isController ||
+          protect.includes(address)) {
+          plan.protected.push(entry);
+        } else if (options.remove !== false) {
+          plan.remove.push(entry);
+        }
+      }
+    });
+
+    return plan;
+  }
+
+  // Whether the existing node has the same nodedef and name as node
+  _isSameNode(existingNode, node) {
+    return !!existingNode &&
+      existingNode.id === node.id &&
+      existingNode.name === node.name;
   }
 
   // Return a copy of the existing config
@@ -755,18 +1635,30 @@ module.exports = class Interface extends events.EventEmitter {
     }
   }
 
+  // Delete a single node. Resolves when Polyglot confirms the removal.
+  async delNodeAsync(node) {
+    if (!(node instanceof Node)) {
+      throw new Error('delNodeAsync error: node is not an instance of Node');
+    }
+
+    const message = { removenode: {address: node.address }};
+    return this.sendMessageAsync(
+      this._trackingKey('removenode', node.address), message);
+  }
+
   // Sends the profile to ISY is version in server.json is different than
   // installed version
   updateProfileIfNew() {
     try {
-      const serverJson = JSON.parse(fs.readFileSync('server.json'));
+      const serverJson = JSON.parse(fs.readFileSync(this._serverJson));
       const currentVersion = serverJson.profile_version;
       const installedVersion = this.getCustomData('installedProfileVersion');
       if (currentVersion !== installedVersion) {
         logger.info('Profile update required, installed version is %s, ' +
           'current version is %s', installedVersion, currentVersion);
-        this.updateProfile();
-        this.addCustomData({ installedProfileVersion: currentVersion });
+        if (this.updateProfile()) {
+          this.addCustomData({ installedProfileVersion: currentVersion });
+        }
       } else {
         logger.info('Profile update not required, installed version is: %s',
           installedVersion);
@@ -777,36 +1669,117 @@ module.exports = class Interface extends events.EventEmitter {
     }
   }
 
-  // Sends the profile to ISY
-  updateProfile() {
+  // Returns the profile (Profile class) loaded from the profile folder.
+  // It is loaded once, unless reload is true.
+  getProfile(reload = false) {
+    if (!this._profile || reload) {
+      this._profile = new Profile(this._profileFolder).load();
+
+      this._profile.errors.forEach(function(error) {
+        logger.error('Profile: %s', error);
+      });
+    }
+
+    return this._profile;
+  }
+
+  // Loads the profile, and checks that it is valid and matches the declared
+  // node classes. Returns { errors: [], warnings: [] }
+  validateProfile() {
+    const result = this._validateProfile();
+
+    result.warnings.forEach(function(warning) {
+      logger.warn('Profile: %s', warning);
+    });
+
+    result.errors.forEach(function(error) {
+      logger.error('Profile: %s', error);
+    });
+
+    return result;
+  }
+
+  _validateProfile() {
+    const _this = this;
+    const profile = new Profile(this._profileFolder).load();
+
+    return profile.validate(Object.values(this._nodeClasses),
+      Object.keys(this._nodes).map(function(address) {
+        return _this._nodes[address];
+      }));
+  }
+
+  // Validates the profile before it is sent. Problems are logged as
+  // warnings. With options.strict, errors are logged as errors and are
+  // returned, so that the profile is not sent. Returns the errors.
+  _checkProfile(options) {
+    const result = this._validateProfile();
+    const strict = !!options.strict;
+
+    result.warnings.concat(strict ? [] : result.errors)
+    .forEach(function(problem) {
+      logger.warn('Profile: %s', problem);
+    });
+
+    if (!strict) {
+      return [];
+    }
+
+    result.errors.forEach(function(error) {
+      logger.error('Profile: %s', error);
+    });
+
+    return result.errors;
+  }
+
+  // Sends the profile to ISY. The profile is validated first, and problems
+  // are logged. options: { strict } The profile is not sent if it has errors.
+  // Returns true if sent.
+  updateProfile(options = {}) {
     const _this = this;
-    const profileFolder = 'profile/';
 
-    // Will upload 1 file in these folders - must have the correct extension
-    const validFiles = {
-      editor: { ext: 'xml' },
-      nls: { ext: 'txt' },
-      nodedef: {ext: 'xml' },
-    };
+    if (this._checkProfile(options).length) {
+      logger.error('Profile has errors, it was not sent to ISY');
+      return false;
+    }
 
-    Object.keys(validFiles).forEach(function(folder) {
-      const files = fs.readdirSync(profileFolder + folder);
-      files.forEach(function(filename) {
-        let fileFound = false; // Will send the first valid file per folders
-        // If file extension is valid & we have not found a valid file yet
-        if (filename.split('.')[1] === validFiles[folder].ext && !fileFound) {
-          fileFound = true;
-          const buf = fs.readFileSync(profileFolder + folder + '/' + filename);
-          const message = {
-            uploadProfile: {
-              type: folder,
-              filename: filename,
-              payload: buf.toString('base64'),
-            },
-          };
-          _this._sendMessage(message, 'isy');
-        }
-      });
+    this._getProfileMessages().forEach(function(message) {
+      _this._sendMessage(message, 'isy');
+    });
+
+    return true;
+  }
+
+  // Sends the profile to ISY. Resolves when all files are published.
+  // options: { strict } Rejects if the profile has errors.
+  async updateProfileAsync(options = {}) {
+    const errors = this._checkProfile(options);
+
+    if (errors.length) {
+      let err = new Error('Profile has errors: ' + errors.join('; '));
+      err.name = 'profileError';
+      err.errors = errors;
+      throw err;
+    }
+
+    const messages = this._getProfileMessages();
+
+    for (const message of messages) {
+      await this._publishAsync(message, 'isy');
+    }
+  }
+
+  // Builds the uploadProfile messages from the files in the profile folder
+  // Will upload 1 file per folder
+  _getProfileMessages() {
+    return new Profile(this._profileFolder).getFiles().map(function(file) {
+      return {
+        uploadProfile: {
+          type: file.type,
+          filename: file.filename,
+          payload: fs.readFileSync(file.path).toString('base64'),
+        },
+      };
     });
   }
 
@@ -820,6 +1793,15 @@ module.exports = class Interface extends events.EventEmitter {
     }
   }
 
+  // Sends notices. Resolves when the broker acknowledges the message.
+  async saveNoticesAsync(notices) {
+    if (typeof notices !== 'object') {
+      throw new Error('saveNoticesAsync error: Parameter is not an object.');
+    }
+
+    return this._publishAsync({ notices: notices });
+  }
+
   // Get all notices
   getNotices() {
     return this._config.notices ? this._config.notices : {};
@@ -894,12 +1876,23 @@ module.exports = class Interface extends events.EventEmitter {
     }
   }
 
+  // Sets the custom parameters. Resolves when the broker acknowledges the
+  // message.
+  async saveCustomParamsAsync(params) {
+    if (typeof params !== 'object') {
+      throw new Error('saveCustomParamsAsync error: ' +
+        'Parameter is not an object.');
+    }
+
+    return this._publishAsync({ customparams: params });
+  }
+
   // Add custom params (Keeps the existing params)
   addCustomParams(params) {
     if (typeof params !== 'object') {
       logger.error('addCustomParams error: Parameter is not an object.');
     } else {
-      this.saveCustomParams(Object.assign(this.getCustomParams(), params));
+      this.saveCustomParams(Object.assign({}, this.getCustomParams(), params));
     }
   }
 
@@ -908,7 +1901,8 @@ module.exports = class Interface extends events.EventEmitter {
     if (typeof key !== 'string') {
       logger.error('removeCustomParams error: Parameter is not a string.');
     } else {
-      let params = this.getCustomParams();
+      // Copy, so that the current config is not modified
+      let params = Object.assign({}, this.getCustomParams());
       if (key in params) {
         delete params[key];
         this.saveCustomParams(params);
@@ -922,6 +1916,16 @@ module.exports = class Interface extends events.EventEmitter {
     return key ? this._config.customData[key] : this._config.customData;
   }
 
+  // Key-value store with namespaces, debounced writes and migrations
+  getCustomDataStore() {
+    return this._customDataStore;
+  }
+
+  // Values encrypted in the custom data (tokens, passwords...)
+  getSecrets() {
+    return this._secrets;
+  }
+
   // Sets the custom data to data (Will overwrite existing custom data)
   saveCustomData(data) {
     if (typeof data !== 'object') {
@@ -930,11 +1934,26 @@ module.exports = class Interface extends events.EventEmitter {
       // Also set the local copy so that it is readily available
       this._config.customData = data;
 
+      // The data saved replaces the store changes not yet sent
+      this._customDataStore.discard();
+
       const message = {customdata: data};
       this.sendMessage(message);
     }
   }
 
+  // Sets the custom data. Resolves when the broker acknowledges the message.
+  async saveCustomDataAsync(data) {
+    if (typeof data !== 'object') {
+      throw new Error('saveCustomDataAsync error: Parameter is not an object');
+    }
+
+    this._config.customData = data;
+    this._customDataStore.discard();
+
+    return this._publishAsync({ customdata: data });
+  }
+
   // Add custom data (Keeps the existing data)
   addCustomData(data) {
     if (typeof data !== 'object') {
@@ -949,7 +1968,8 @@ module.exports = class Interface extends events.EventEmitter {
     if (typeof key !== 'string') {
       logger.error('removeCustomData error: Parameter is not a string.');
     } else {
-      let data = this.getCustomData();
+      // Copy, so that the current config is not modified
+      let data = Object.assign({}, this.getCustomData());
 
       if (key in data) {
         delete data[key];
@@ -1018,15 +2038,58 @@ module.exports = class Interface extends events.EventEmitter {
     this.sendMessage({restart: {}});
   }
 
-  // ========= NOT YET SUPPORTED IN PGC =============
+  // Sets the typed custom parameters schema (See TypedParams.js).
+  // customParams are then validated and parsed against it.
+  saveTypedParams(typedParams) {
+    try {
+      this._typedParams = new TypedParams(typedParams);
+    } catch (err) {
+      logger.error('saveTypedParams error: %s', err.message);
+      return;
+    }
+
+    this.sendMessage({ typedparams: typedParams });
 
-  // Sets the custom parameters to params
-  saveTypedParams() {
-    logger.error('saveTypedParams: This is not supported.');
+    // Current params are validated with the new schema
+    this._parseTypedParams(this._config);
   }
 
+  // Typed values of the custom params. null if saveTypedParams was not used.
+  getTypedParams() {
+    return this._typedParamsResult ? this._typedParamsResult.values : null;
+  }
+
+  // Errors found validating the custom params: [{ name, error }]
+  getTypedParamsErrors() {
+    return this._typedParamsResult ? this._typedParamsResult.errors : [];
+  }
+
+  // Validates the customParams of config against the typed params schema
+  _parseTypedParams(config) {
+    if (this._typedParams) {
+      this._typedParamsResult = this._typedParams.parse(config.customParams);
+
+      this._typedParamsResult.errors.forEach(function(error) {
+        logger.warn('Custom param %s %s', error.name, error.error);
+      });
+    }
+  }
+
+  // ========= NOT YET SUPPORTED IN PGC =============
+
   // Sets the customParams documentation shown in the UI
   setCustomParamsDoc() {
     logger.error('setCustomParamsDoc: This is not supported.');
   }
 };
+
+// Rejects when signal is aborted
+function abortedPromise(signal) {
+  return new Promise(function(resolve, reject) {
+    if (signal) {
+      signal.addEventListener('abort', function() {
+        reject(new Error('Command aborted (timeout or cancelled)'));
+      }, { once: true });
+    }
+  });
+}
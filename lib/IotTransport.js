@@ -0,0 +1,53 @@
+// Transport to Polyglot Cloud, using the AWS IoT MQTT broker (Default)
+
+'use strict';
+
+const fs = require('fs');
+const MqttTransport = require('./MqttTransport.js');
+
+module.exports = class IotTransport extends MqttTransport {
+  // options: endpoint, port, certs: { key, cert, ca } as file paths or buffers
+  constructor(options = {}) {
+    super(options);
+  }
+
+  _getUrl() {
+    return 'mqtts://' + this._options.endpoint;
+  }
+
+  _getMqttOptions() {
+    const certs = Object.assign({
+      // Working dir should be /app/nodeserver
+      key: '../certs/private.key',
+      cert: '../certs/iot.crt',
+      ca: '../certs/AmazonRootCA1.pem',
+    }, this._options.certs);
+
+    return Object.assign(super._getMqttOptions(), {
+      port: this._options.port || 8883,
+
+      key: readCert(certs.key),
+      cert: readCert(certs.cert),
+      ca: [].concat(certs.ca).map(readCert),
+
+      rejectUnauthorized: true,
+
+      // Will send this payload if it disconnects. This does not work.
+      // will: {
+      //   topic: this._sendTopic,
+      //   payload: JSON.stringify({
+      //     connected: false,
+      //     topic: this._recvTopic,
+      //     userId: this._userId,
+      //     profileNum: '' + this._profileNum,
+      //     id: '' + this._id,
+      //   }),
+      // },
+    });
+  }
+};
+
+// Certificates can be specified as a file path, or as a buffer
+function readCert(cert) {
+  return Buffer.isBuffer(cert) ? cert : fs.readFileSync(cert);
+}
@@ -0,0 +1,93 @@
+'use strict';
+
+const logger = require('./logger.js');
+
+const signals = ['SIGTERM', 'SIGINT'];
+
+// Shutdown hooks and signals handling, used by Interface.stop()
+module.exports = class Lifecycle {
+  constructor() {
+    this._hooks = [];
+    this._signalHandler = null;
+  }
+
+  // fn can be async
+  addHook(fn) {
+    this._hooks.push(fn);
+  }
+
+  removeHook(fn) {
+    this._hooks = this._hooks.filter(function(hook) {
+      return hook !== fn;
+    });
+  }
+
+  // Runs the hooks one at a time, in the order they were added, until the
+  // deadline (timestamp in ms). Errors are logged.
+  async runHooks(deadline) {
+    for (const hook of this._hooks) {
+      await withDeadline(Promise.resolve().then(hook), deadline,
+        'Shutdown hook');
+    }
+  }
+
+  // Calls fn(signal) on SIGTERM or SIGINT. A second signal exits right away.
+  handleSignals(fn) {
+    let received = false;
+
+    this.removeSignalHandlers();
+
+    this._signalHandler = function(signal) {
+      if (received) {
+        logger.warn('Received %s again, exiting now', signal);
+        process.exit(1);
+      }
+
+      received = true;
+      fn(signal);
+    };
+
+    signals.forEach(function(signal) {
+      process.on(signal, this._signalHandler);
+    }, this);
+  }
+
+  removeSignalHandlers() {
+    if (this._signalHandler) {
+      signals.forEach(function(signal) {
+        process.removeListener(signal, this._signalHandler);
+      }, this);
+
+      this._signalHandler = null;
+    }
+  }
+};
+
+// Waits for promise, until the deadline (timestamp in ms).
+// Resolves with true if the promise is done, false if the deadline passed.
+// Never rejects: Errors are logged.
+function withDeadline(promise, deadline, what) {
+  let timer = null;
+
+  const timeout = new Promise(function(resolve) {
+    timer = setTimeout(function() {
+      logger.warn('%s did not finish before the shutdown deadline', what);
+      resolve(false);
+    }, Math.max(0, deadline - Date.now()));
+  });
+
+  const done = promise.then(function() {
+    return true;
+  }, function(err) {
+    logger.errorStack(err, '%s failed:', what);
+    return true;
+  });
+
+  return Promise.race([done, timeout])
+  .then(function(result) {
+    clearTimeout(timer);
+    return result;
+  });
+}
+
+module.exports.withDeadline = withDeadline;
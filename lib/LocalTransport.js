@@ -0,0 +1,36 @@
+// Transport to a local MQTT broker, such as on-prem Polyglot
+
+'use strict';
+
+const MqttTransport = require('./MqttTransport.js');
+
+module.exports = class LocalTransport extends MqttTransport {
+  // options: endpoint, port, username, password, tls, mqttOptions
+  // Set tls to true (or to tls options such as ca) to use mqtts.
+  constructor(options = {}) {
+    super(options);
+  }
+
+  _getUrl() {
+    const protocol = this._options.tls ? 'mqtts' : 'mqtt';
+    return `${protocol}://${this._options.endpoint || 'localhost'}`;
+  }
+
+  _getMqttOptions() {
+    const tls = this._options.tls;
+    const options = Object.assign(super._getMqttOptions(), {
+      port: this._options.port || (tls ? 8883 : 1883),
+    });
+
+    if (this._options.username) {
+      options.username = this._options.username;
+      options.password = this._options.password;
+    }
+
+    if (tls && typeof tls === 'object') {
+      Object.assign(options, tls);
+    }
+
+    return options;
+  }
+};
@@ -0,0 +1,82 @@
+'use strict';
+
+// Bounded buffer for the messages sent while disconnected from Polyglot.
+// Status messages for the same address/driver are coalesced to the latest.
+module.exports = class MessageBuffer {
+  constructor(maxSize = 1000) {
+    this.maxSize = maxSize;
+    this.items = []; // { message, service, key }
+
+    // Metrics
+    this.buffered = 0;
+    this.coalesced = 0;
+    this.dropped = 0;
+    this.flushed = 0;
+  }
+
+  // Key used to coalesce the message. null if it should not be coalesced.
+  _coalesceKey(message) {
+    const keys = Object.keys(message);
+    const status = message.status;
+
+    if (keys.length === 1 && status && typeof status === 'object' &&
+      status.address && status.driver) {
+      return `status-${status.address}-${status.driver}`;
+    }
+
+    return null;
+  }
+
+  // Adds a message. Returns { coalesced, dropped } where coalesced is the
+  // message replaced, and dropped the oldest message dropped to make room.
+  add(message, service = null) {
+    const key = this._coalesceKey(message);
+    const result = { coalesced: null, dropped: null };
+
+    if (key) {
+      const index = this.items.findIndex(function(item) {
+        return item.key === key;
+      });
+
+      // The previous value is removed, the latest is sent in order
+      if (index !== -1) {
+        result.coalesced = this.items.splice(index, 1)[0].message;
+        this.coalesced++;
+      }
+    }
+
+    if (this.items.length >= this.maxSize) {
+      result.dropped = this.items.shift().message;
+      this.dropped++;
+    }
+
+    this.items.push({ message: message, service: service, key: key });
+    this.buffered++;
+
+    return result;
+  }
+
+  // Removes all messages from the buffer and returns them, in order
+  drain() {
+    const items = this.items;
+    this.items = [];
+    this.flushed += items.length;
+
+    return items;
+  }
+
+  get length() {
+    return this.items.length;
+  }
+
+  stats() {
+    return {
+      length: this.items.length,
+      maxSize: this.maxSize,
+      buffered: this.buffered,
+      coalesced: this.coalesced,
+      dropped: this.dropped,
+      flushed: this.flushed,
+    };
+  }
+};
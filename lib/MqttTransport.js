@@ -0,0 +1,79 @@
+// Transport using an MQTT connection (mqtt.js)
+
+'use strict';
+
+const mqtt = require('mqtt');
+const Transport = require('./Transport.js');
+
+module.exports = class MqttTransport extends Transport {
+  constructor(options = {}) {
+    super(options);
+
+    // This is the mqtt client, the result of mqtt.connect()
+    this._client = null;
+  }
+
+  // Broker URL. Overridden by subclasses.
+  _getUrl() {
+    return this._options.url;
+  }
+
+  // Options passed to mqtt.connect(). Overridden by subclasses.
+  _getMqttOptions() {
+    return Object.assign({
+      clientId: 'mqttjs_' + Math.random().toString(16).substr(2, 8),
+      resubscribe: true,
+    }, this._options.mqttOptions);
+  }
+
+  connect() {
+    const _this = this;
+
+    this._client = mqtt.connect(this._getUrl(), this._getMqttOptions());
+
+    ['connect', 'reconnect', 'offline', 'close', 'end', 'error']
+    .forEach(function(event) {
+      _this._client.on(event, function(arg) {
+        _this.emit(event, arg);
+      });
+    });
+
+    this._client.on('message', function(topic, payload) {
+      _this.emit('message', topic, payload);
+    });
+  }
+
+  isConnected() {
+    return !!this._client && this._client.connected;
+  }
+
+  subscribe(topic) {
+    this._client.subscribe(topic);
+  }
+
+  publish(topic, payload, options = {}) {
+    const _this = this;
+
+    return new Promise(function(resolve, reject) {
+      _this._client.publish(topic, payload, options, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  end() {
+    const _this = this;
+
+    return new Promise(function(resolve) {
+      if (_this._client) {
+        _this._client.end(false, resolve);
+      } else {
+        resolve();
+      }
+    });
+  }
+};
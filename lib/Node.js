@@ -3,6 +3,8 @@
 'use strict';
 
 const logger = require('./logger.js');
+const uomRegistry = require('./uom.js');
+const commandParams = require('./commandParams.js');
 
 // This needs to be changed in the class module that inherits class Node
 const nodeDefId = 'UNDEFINED';
@@ -21,6 +23,9 @@ module.exports = class Node {
     this.address = address; // This node address
     this.name = name; // This node name
 
+    // Logger of this node. Entries are labeled NS:<address>
+    this.logger = logger.ns.child(address);
+
     // Set when we receive the polyglot config
     this.timeAdded = new Date(); // Date at which the node was created
     this.enabled = false; // Node enabled?
@@ -28,17 +33,121 @@ module.exports = class Node {
     this.isController = false; // By default, it is false
 
     // Must be overridden by the children class.
-    // Mapping of command name to function.
+    // Mapping of command name to function, or to a definition with the
+    // parameters of the command (See commandParams.js)
     // Example: {
-    //    DON: function(message) { ... },
-    //    DOF: function(message) { ... } }
+    //    DON: function(message, params) { ... },
+    //    DOF: function(message) { ... },
+    //    SETLVL: {
+    //      params: { value: { uom: 51, min: 0, max: 100, required: true }},
+    //      handler: function(message, params) { ... } } }
     this.commands = {};
 
+    // Parameters of the commands, from the nodedef. Set by loadNodeDef()
+    this.commandParams = {};
+
     // This node's drivers.
     // Must be overridden by the children class.
     // Driver values are set when we receive a polyglot config message
     // Example:  { ST: { value: 0, uom: 51 }}.
+    // Reports can be limited with these driver properties:
+    //   minInterval: Minimum number of seconds between reports. Changes are
+    //     reported when the interval is over.
+    //   deadband: Change is not reported unless the value differs by at
+    //     least deadband from the last value reported.
+    //   maxSilence: The value is reported again if it has not been reported
+    //     for maxSilence seconds.
     this.drivers = {};
+
+    // Delay in ms used to coalesce the driver reports of this node. A driver
+    // changed several times within the delay is reported once, with its
+    // latest value. The drivers are still sent in separate status messages.
+    // 0 sends each report right away.
+    this.reportBatchDelay = 0;
+
+    // Last report by driver: { value, time, deferTimer, silenceTimer }
+    this._reportState = {};
+
+    // Drivers waiting to be sent in the batch
+    this._batch = {};
+    this._batchTimer = null;
+
+    // Commands accepted by the nodedef. Set by loadNodeDef()
+    this.acceptedCommands = [];
+
+    // Polls of this node (See NodePoller.js). pollTimeout (ms) and
+    // pollErrorDriver override the nodePolls options.
+    this.pollTimeout = 0;
+    this.pollErrorDriver = null;
+    this.pollHealth = {
+      healthy: true,
+      consecutiveFailures: 0,
+      lastError: null,
+      lastPoll: null,
+    };
+  }
+
+  // Sets the drivers and acceptedCommands from the nodedef in the profile.
+  // Drivers already defined are kept. The uom is the uom of the driver
+  // editor, and the value is defaults[driver], or the editor minimum, or 0.
+  // The editor min, max and prec are also set on the drivers.
+  // Call it in the constructor, after setting this.drivers (if any).
+  // Returns false if the nodedef does not exist.
+  loadNodeDef(defaults = {}, profile = null) {
+    const _this = this;
+
+    if (!profile) {
+      profile = this.polyInterface.getProfile();
+    }
+
+    const nodeDef = profile.getNodeDef(this.id);
+
+    if (!nodeDef) {
+      logger.error('Nodedef %s not found in the profile', this.id);
+      return false;
+    }
+
+    Object.keys(nodeDef.sts).forEach(function(driver) {
+      const editor = profile.getEditor(nodeDef.sts[driver].editor);
+      const range = editor && editor.ranges.length ? editor.ranges[0] : {};
+
+      if (!(driver in _this.drivers)) {
+        let value = 0;
+
+        if (driver in defaults) {
+          value = defaults[driver];
+        } else if (range.min !== undefined) {
+          value = parseFloat(range.min);
+        }
+
+        _this.drivers[driver] = {
+          value: value,
+          uom: range.uom !== undefined ? parseInt(range.uom, 10) : 0,
+        };
+      }
+
+      // The editor range is used to validate the values (See setDriver)
+      if ('' + _this.drivers[driver].uom === range.uom) {
+        ['min', 'max', 'prec'].forEach(function(prop) {
+          if (range[prop] !== undefined && !(prop in _this.drivers[driver])) {
+            _this.drivers[driver][prop] = parseFloat(range[prop]);
+          }
+        });
+      }
+    });
+
+    this.acceptedCommands = Object.keys(nodeDef.accepts);
+
+    this.acceptedCommands.forEach(function(cmd) {
+      _this.commandParams[cmd] =
+        commandParams.fromNodeDef(nodeDef.accepts[cmd], profile);
+
+      if (!_this.commands[cmd]) {
+        logger.debug('Node %s: command %s has no handler', _this.id, cmd);
+      }
+    });
+
+    return true;
   }
 
   getDriver(driver) {
@@ -84,19 +193,106 @@ module.exports = class Node {
     });
   }
 
+  // Validates the value for the driver uom, and converts it if the value
+  // uom is different but compatible (Example: °C to °F).
+  // If the value uom is not compatible, it replaces the driver uom, and the
+  // value is validated for it, without the driver min, max and prec.
+  // Uses the driver min, max, prec & clamp properties, if defined.
+  // Returns { value, uom, error }. The driver is not changed.
+  _checkValue(driver, value, valueUom = null) {
+    const driverDef = this.drivers[driver];
+    let driverUom = parseInt(driverDef.uom, 10);
+    let limits = {
+      min: driverDef.min,
+      max: driverDef.max,
+      prec: driverDef.prec,
+      clamp: driverDef.clamp,
+    };
+
+    if (valueUom !== null && parseInt(valueUom, 10) !== driverUom &&
+      !uomRegistry.canConvert(valueUom, driverUom)) {
+      driverUom = parseInt(valueUom, 10);
+      limits = { clamp: driverDef.clamp };
+    }
+
+    if (typeof value === 'boolean') {
+      switch (driverUom) {
+        case 2:
+          return { value: value ? 1 : 0, uom: driverUom, error: null };
+
+        case 78:
+          return { value: value ? 100 : 0, uom: driverUom, error: null };
+
+        default:
+          // convertValue will warn about the uom
+          return { value: value, uom: driverUom, error: null };
+      }
+    }
+
+    // The values of the known uoms are numbers. Numeric strings, such as
+    // command values, are validated as numbers. Other values are rejected
+    // by uomRegistry.validate().
+    if (typeof value === 'string' && uomRegistry.get(driverUom) &&
+      /^\s*[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?\s*$/.test(value)) {
+      value = parseFloat(value);
+    }
+
+    if (typeof value !== 'number' && !uomRegistry.get(driverUom)) {
+      return { value: value, uom: driverUom, error: null };
+    }
+
+    if (typeof value === 'number' && valueUom !== null &&
+      parseInt(valueUom, 10) !== driverUom) {
+      const converted = uomRegistry.convert(value, valueUom, driverUom);
+
+      if (converted !== null) {
+        logger.debug('Node %s driver %s: %s converted from uom %s to uom %s',
+          this.address, driver, value, valueUom, driverUom);
+        value = converted;
+      }
+    }
+
+    const result = uomRegistry.validate(value, driverUom, limits);
+
+    if (result.clamped) {
+      logger.warn('Node %s driver %s: %s is out of range, clamped to %s',
+        this.address, driver, value, result.value);
+    }
+
+    result.uom = driverUom;
+    return result;
+  }
+
   // Used to set a driver to a value (example set ST to 100)
+  // If uom is specified and is compatible with the driver uom, the value is
+  // converted to the driver uom. Otherwise, the driver uom is changed, and
+  // its min, max and prec (made for the previous uom) are removed.
+  // Returns false if the driver or value is invalid. The driver is then not
+  // changed.
   setDriver(driver, value, report = true, forceReport = false, uom = null) {
     // Is driver valid?
     if (driver in this.drivers &&
       'value' in this.drivers[driver] &&
       'uom' in this.drivers[driver]) {
 
-      if (uom && this.drivers[driver].uom !== uom) {
-        this.drivers[driver].uom = uom;
-        this.drivers[driver].changed = true;
+      const driverDef = this.drivers[driver];
+      const checked = this._checkValue(driver, value, uom || null);
+
+      if (checked.error) {
+        logger.error('Node %s driver %s: %s. Value not set.',
+          this.address, driver, checked.error);
+        return false;
+      }
+
+      if (checked.uom !== parseInt(driverDef.uom, 10)) {
+        driverDef.uom = uom;
+        driverDef.changed = true;
+        delete driverDef.min;
+        delete driverDef.max;
+        delete driverDef.prec;
       }
 
-      value = this.convertValue(driver, value);
+      value = this.convertValue(driver, checked.value);
 
       if (this.drivers[driver].value !== value) {
         logger.info('Setting node %s driver %s: %s',
@@ -109,33 +305,230 @@ module.exports = class Node {
       if (report) {
         this.reportDriver(driver, forceReport);
       }
+
+      return true;
     } else {
       logger.error('Driver %s is not valid for node %s', driver, this.address);
+      return false;
+    }
+  }
+
+  // Sets a driver, and resolves once ISY has confirmed the update.
+  // Rejects if ISY returns a failure (Example: driver does not exist).
+  async setDriverAsync(driver, value, forceReport = false, uom = null) {
+    if (!(driver in this.drivers)) {
+      throw new Error(`Driver ${driver} is not valid for node ${this.address}`);
     }
+
+    if (!this.setDriver(driver, value, false, false, uom)) {
+      throw new Error(`Value ${value} is not valid for driver ${driver} ` +
+        `of node ${this.address}`);
+    }
+
+    return this.reportDriverAsync(driver, forceReport);
   }
 
-  // Send existing driver value to ISY
+  // Send existing driver value to ISY. Resolves once ISY has confirmed.
+  // Resolves with null if the driver did not change.
+  // If it fails (not connected, timeout...), the driver is still to be
+  // reported.
+  async reportDriverAsync(driver, forceReport = false) {
+    if (!(driver in this.drivers)) {
+      throw new Error(`Driver ${driver} is not valid for node ${this.address}`);
+    }
+
+    if (this.drivers[driver].changed || forceReport) {
+      const message = this._statusMessage(driver);
+      this.drivers[driver].changed = false;
+      this._reported(driver);
+      delete this._batch[driver];
+
+      try {
+        return await this.polyInterface.sendMessageAsync(
+          this.polyInterface._trackingKey('status', this.address), message);
+      } catch (err) {
+        if (driver in this.drivers) {
+          this.drivers[driver].changed = true;
+        }
+
+        throw err;
+      }
+    }
+
+    return null;
+  }
+
+  _statusMessage(driver) {
+    return {
+      status: {
+        address: this.address,
+        driver: driver,
+        value: this.drivers[driver].value,
+        uom: this.drivers[driver].uom,
+      },
+    };
+  }
+
+  // Send existing driver value to ISY, if allowed by the driver report
+  // properties (minInterval, deadband). forceReport ignores them.
   reportDriver(driver, forceReport = false) {
     // Is driver valid?
     if (driver in this.drivers) {
-      if (this.drivers[driver].changed || forceReport) {
-        const message = {
-          status: {
-            address: this.address,
-            driver: driver,
-            value: this.drivers[driver].value,
-            uom: this.drivers[driver].uom,
-          },
-        };
-
-        this.polyInterface.sendMessage(message);
+      if ((this.drivers[driver].changed && this._canReport(driver)) ||
+        forceReport) {
         this.drivers[driver].changed = false;
+        this._reported(driver);
+
+        if (this.reportBatchDelay > 0) {
+          this._addToBatch(driver);
+        } else {
+          this.polyInterface.sendMessage(this._statusMessage(driver));
+        }
       }
     } else {
       logger.error('Driver %s is not valid for node %s', driver, this.address);
     }
   }
 
+  // Checks the minInterval and deadband of the driver. If the minInterval
+  // is not over, the report is done later.
+  _canReport(driver) {
+    const _this = this;
+    const definition = this.drivers[driver];
+    const state = this._reportState[driver];
+
+    // Never reported
+    if (!state) {
+      return true;
+    }
+
+    if (definition.deadband) {
+      const difference = Math.abs(
+        parseFloat(definition.value) - parseFloat(state.value));
+
+      if (!isNaN(difference) && difference < definition.deadband) {
+        return false;
+      }
+    }
+
+    if (definition.minInterval) {
+      const wait = state.time + definition.minInterval * 1000 - Date.now();
+
+      if (wait > 0) {
+        if (!state.deferTimer) {
+          state.deferTimer = setTimeout(function() {
+            state.deferTimer = null;
+            _this.reportDriver(driver);
+          }, wait);
+          state.deferTimer.unref();
+        }
+
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  // Records the value reported, and restarts the maxSilence timer
+  _reported(driver) {
+    const _this = this;
+    const definition = this.drivers[driver];
+    const state = this._reportState[driver] ||
+      (this._reportState[driver] = {});
+
+    state.value = definition.value;
+    state.time = Date.now();
+
+    clearTimeout(state.deferTimer);
+    state.deferTimer = null;
+
+    clearTimeout(state.silenceTimer);
+    state.silenceTimer = null;
+
+    if (definition.maxSilence) {
+      state.silenceTimer = setTimeout(function() {
+        state.silenceTimer = null;
+        _this.reportDriver(driver, true);
+      }, definition.maxSilence * 1000);
+      state.silenceTimer.unref();
+    }
+  }
+
+  _addToBatch(driver) {
+    const _this = this;
+
+    this._batch[driver] = true;
+
+    if (!this._batchTimer) {
+      this._batchTimer = setTimeout(function() {
+        _this._sendBatch();
+      }, this.reportBatchDelay);
+    }
+  }
+
+  // Sends the drivers of the batch, one status message per driver
+  _sendBatch() {
+    const _this = this;
+    const drivers = Object.keys(this._batch).filter(function(driver) {
+      return driver in _this.drivers;
+    });
+
+    clearTimeout(this._batchTimer);
+    this._batchTimer = null;
+    this._batch = {};
+
+    drivers.forEach(function(driver) {
+      _this.polyInterface.sendMessage(_this._statusMessage(driver));
+    });
+  }
+
+  // true if the value changed and was not sent yet: held by minInterval or
+  // deadband, or waiting in the batch.
+  _reportPending(driver) {
+    return driver in this.drivers &&
+      (!!this.drivers[driver].changed || !!this._batch[driver]);
+  }
+
+  // Sends the reports now: the reports delayed by minInterval, and the
+  // batch.
+  flushReports() {
+    const _this = this;
+
+    Object.keys(this._reportState).forEach(function(driver) {
+      const state = _this._reportState[driver];
+
+      if (state.deferTimer) {
+        clearTimeout(state.deferTimer);
+        state.deferTimer = null;
+
+        if (driver in _this.drivers && _this.drivers[driver].changed) {
+          _this.drivers[driver].changed = false;
+          _this._reported(driver);
+          _this._batch[driver] = true;
+        }
+      }
+    });
+
+    this._sendBatch();
+  }
+
+  // Stops the report timers. Used when the node is removed.
+  _stopReports() {
+    const _this = this;
+
+    clearTimeout(this._batchTimer);
+    this._batchTimer = null;
+    this._batch = {};
+
+    Object.keys(this._reportState).forEach(function(driver) {
+      clearTimeout(_this._reportState[driver].deferTimer);
+      clearTimeout(_this._reportState[driver].silenceTimer);
+    });
+
+    this._reportState = {};
+  }
+
   // Sends changed drivers to ISY
   reportDrivers(forceReport = false) {
     const _this = this;
@@ -173,19 +566,74 @@ module.exports = class Node {
     this.polyInterface.delNode(this);
   }
 
+  // Lifecycle hooks, called by the Interface. They can be async.
+  // Override them in the children class.
+
+  // The node was created from the config: Added, re-created, or existing
+  // at startup
+  onAdded() {}
+
+  // Driver values were changed outside of the nodeserver.
+  // changedDrivers: { driver: { oldValue, newValue } }
+  onConfigUpdated(changedDrivers) {}
+
+  // The node was removed from the config
+  onRemoved() {}
+
+  onEnabled() {}
+
+  onDisabled() {}
+
+  // Called on each short and long poll. signal is aborted if the poll times
+  // out.
+  onPoll(isLongPoll, signal) {}
+
+  // false after repeated failed polls, until a poll succeeds
+  isHealthy() {
+    return this.pollHealth.healthy;
+  }
+
+  // Called when the interface stops (See Interface.stop())
+  onStop() {}
+
   // Runs one of the commands in this.commands based on cmdMessage.cmd
   // We receive this when a command is run.
   // Example messageContent:
   // { address: 'node003', cmd: 'DON', value: '6', uom: '51' }
-  async runCmd(cmdMessage) {
-    const nodeCommandFunction = this.commands[cmdMessage.cmd];
+  // signal is aborted if the command times out, and is passed to the
+  // command function.
+  async runCmd(cmdMessage, signal = null) {
+    const command = this.commands[cmdMessage.cmd];
+    const handler = typeof command === 'function' ? command :
+      command && command.handler;
+
+    if (typeof handler !== 'function') {
+      throw commandError(`Node ${this.address} using nodeDefId ${this.id} ` +
+        `does not have a command: ${cmdMessage.cmd}`);
+    }
 
-    if (!nodeCommandFunction) {
-      logger.error('Node %s using nodeDefId %s does not have a command: %s',
-        this.address, this.id, cmdMessage.cmd);
-    } else {
-      return this._asyncWrapper(nodeCommandFunction.call(this, cmdMessage));
+    const params = this.parseCmdParams(cmdMessage);
+
+    return this._asyncWrapper(handler.call(this, cmdMessage, params, signal));
+  }
+
+  // Returns the parameters of a command message, parsed and validated using
+  // the params of the command definition, or the nodedef.
+  // Throws an error (name 'commandError') if they are not valid.
+  parseCmdParams(cmdMessage) {
+    const command = this.commands[cmdMessage.cmd];
+    const definitions = command && command.params ?
+      command.params : this.commandParams[cmdMessage.cmd];
+    const result = commandParams.parse(definitions, cmdMessage);
+
+    if (result.errors.length) {
+      const err = commandError(`Command ${cmdMessage.cmd} of node ` +
+        `${this.address} is invalid: ${result.errors.join('; ')}`);
+      err.errors = result.errors;
+      throw err;
     }
+
+    return result.params;
   }
 
   // Commands in this.commands can be async or not
@@ -201,5 +649,11 @@ module.exports = class Node {
 
 };
 
+function commandError(message) {
+  const err = new Error(message);
+  err.name = 'commandError';
+  return err;
+}
+
 // Required, so that the interface can find this Node class using the nodeDefId
 module.exports.nodeDefId = nodeDefId;
@@ -0,0 +1,143 @@
+'use strict';
+
+const logger = require('./logger.js');
+const CancelToken = require('./CancelToken.js');
+
+// Dispatches the short and long polls to the nodes onPoll().
+// Each node is polled with a timeout, and its errors are caught, so that one
+// node cannot stop or delay the others. After unhealthyAfter consecutive
+// failures, the node is marked unhealthy, and its errorDriver is set.
+//
+// The interface emits nodeUnhealthy(node, err) and nodeHealthy(node).
+module.exports = class NodePoller {
+  // options:
+  //   concurrency: Max nodes polled in parallel. 0 for no limit.
+  //   timeout: Max time in ms of a node poll (60000 by default). 0 for no
+  //     timeout.
+  //     Nodes can override it with this.pollTimeout.
+  //   unhealthyAfter: Consecutive failures before the node is unhealthy
+  //   errorDriver: Driver set to unhealthyValue when the node is unhealthy,
+  //     and to healthyValue when it recovers (e.g. 'ST' or 'GV0').
+  //     Nodes can override it with this.pollErrorDriver.
+  constructor(polyInterface, options = {}) {
+    this.polyInterface = polyInterface;
+    this.concurrency = options.concurrency || 0;
+    this.timeout = 'timeout' in options ? options.timeout : 60000;
+    this.unhealthyAfter = options.unhealthyAfter || 3;
+    this.errorDriver = options.errorDriver || null;
+    this.unhealthyValue = 'unhealthyValue' in options ?
+      options.unhealthyValue : 1;
+    this.healthyValue = 'healthyValue' in options ? options.healthyValue : 0;
+
+    // Addresses of the nodes being polled
+    this._running = new Set();
+  }
+
+  // Polls the nodes. Resolves when they are all done or timed out.
+  poll(nodes, isLongPoll) {
+    const _this = this;
+    const pending = nodes.slice();
+    const workers = [];
+    const count = this.concurrency ?
+      Math.min(this.concurrency, pending.length) : pending.length;
+
+    const next = function() {
+      const node = pending.shift();
+
+      return node ? _this._pollNode(node, isLongPoll).then(next) : null;
+    };
+
+    for (let i = 0; i < count; i++) {
+      workers.push(next());
+    }
+
+    return Promise.all(workers);
+  }
+
+  _pollNode(node, isLongPoll) {
+    const _this = this;
+    const timeout = node.pollTimeout || this.timeout;
+    const controller = new CancelToken();
+    let timer = null;
+
+    // The previous poll of this node timed out, and is still running
+    if (this._running.has(node.address)) {
+      logger.warn('Node %s is still polling, poll skipped', node.address);
+      return Promise.resolve();
+    }
+
+    this._running.add(node.address);
+
+    const polled = Promise.resolve()
+    .then(function() {
+      return node.onPoll(isLongPoll, controller.signal);
+    })
+    .then(function() {
+      _this._running.delete(node.address);
+    }, function(err) {
+      _this._running.delete(node.address);
+      throw err;
+    });
+
+    const timedOut = new Promise(function(resolve, reject) {
+      if (timeout) {
+        timer = setTimeout(function() {
+          const err = new Error(`Timed out after ${timeout}ms`);
+          err.name = 'timeout';
+          controller.abort();
+          reject(err);
+        }, timeout);
+      }
+    });
+
+    return Promise.race([polled, timedOut])
+    .then(function() {
+      _this._succeeded(node);
+    }, function(err) {
+      _this._failed(node, err);
+    })
+    .then(function() {
+      clearTimeout(timer);
+    });
+  }
+
+  _succeeded(node) {
+    const health = node.pollHealth;
+
+    health.consecutiveFailures = 0;
+    health.lastPoll = new Date();
+
+    if (!health.healthy) {
+      health.healthy = true;
+      logger.info('Node %s is healthy again', node.address);
+      this._setErrorDriver(node, this.healthyValue);
+      this.polyInterface.emit('nodeHealthy', node);
+    }
+  }
+
+  _failed(node, err) {
+    const health = node.pollHealth;
+
+    health.consecutiveFailures++;
+    health.lastError = err && err.message ? err.message : '' + err;
+    health.lastPoll = new Date();
+
+    logger.errorStack(err, 'Node %s poll failed:', node.address);
+
+    if (health.healthy && health.consecutiveFailures >= this.unhealthyAfter) {
+      health.healthy = false;
+      logger.error('Node %s is unhealthy after %d failed polls',
+        node.address, health.consecutiveFailures);
+      this._setErrorDriver(node, this.unhealthyValue);
+      this.polyInterface.emit('nodeUnhealthy', node, err);
+    }
+  }
+
+  _setErrorDriver(node, value) {
+    const driver = node.pollErrorDriver || this.errorDriver;
+
+    if (driver && node.getDriver(driver)) {
+      node.setDriver(driver, value);
+    }
+  }
+};
@@ -0,0 +1,212 @@
+'use strict';
+
+const events = require('events');
+const logger = require('./logger.js');
+
+// Largest delay accepted by setTimeout
+const maxDelay = 2147483647;
+
+// Keeps the OAuth tokens received with the oauth message, encrypted in the
+// custom data (See Secrets). Tokens are refreshed before they expire, using
+// the refresh function provided. A notice is added when the user needs to
+// authorize the nodeserver again.
+//
+// Tokens are stored as received ({ access_token, refresh_token, expires_in })
+// with expiresAt added (timestamp in ms).
+module.exports = class OAuthManager extends events.EventEmitter {
+  // options:
+  //   refresh: async function(tokens), returns the new tokens
+  //   refreshBefore: Tokens are refreshed this many ms before they expire
+  //     (default 5 minutes)
+  //   secretName: Name of the secret holding the tokens (default 'oauth')
+  //   noticeKey, noticeText: Notice added when authorization is required
+  constructor(polyInterface, options = {}) {
+    super();
+    const _this = this;
+
+    this.polyInterface = polyInterface;
+    this.refresh = options.refresh || null;
+    this.refreshBefore = 'refreshBefore' in options ?
+      options.refreshBefore : 5 * 60 * 1000;
+    this.secretName = options.secretName || 'oauth';
+    this.noticeKey = options.noticeKey || 'oauth';
+    this.noticeText = options.noticeText ||
+      'Please authorize this NodeServer again';
+
+    this._timer = null;
+    this._refreshing = null;
+
+    polyInterface.on('oauth', function(tokens) {
+      _this.setTokens(tokens);
+    });
+
+    // Tokens saved previously are refreshed when they are about to expire
+    polyInterface.on('config', function(config) {
+      if (config.isInitialConfig) {
+        _this._schedule();
+      }
+    });
+  }
+
+  // Returns the stored tokens, or null
+  getTokens() {
+    try {
+      return this.polyInterface.getSecrets().get(this.secretName, null);
+    } catch (err) {
+      logger.error('OAuth tokens could not be decrypted: %s', err.message);
+      return null;
+    }
+  }
+
+  // Stores new tokens, and schedules their refresh
+  setTokens(tokens) {
+    if (!tokens || typeof tokens !== 'object' || !tokens.access_token) {
+      logger.error('OAuth tokens received are invalid');
+      this._authorizationRequired('Invalid tokens received');
+      return;
+    }
+
+    tokens = Object.assign({}, tokens);
+
+    if (tokens.expires_in) {
+      tokens.expiresAt = Date.now() + tokens.expires_in * 1000;
+    }
+
+    this.polyInterface.getSecrets().set(this.secretName, tokens);
+    this.polyInterface.removeNotice(this.noticeKey);
+
+    this._schedule();
+    this.emit('tokens', tokens);
+  }
+
+  // Deletes the tokens
+  clearTokens() {
+    this._clearTimer();
+    this.polyInterface.getSecrets().delete(this.secretName);
+  }
+
+  // True if there are no tokens, or if they expire within refreshBefore
+  needsRefresh() {
+    const tokens = this.getTokens();
+
+    return !tokens || (!!tokens.expiresAt &&
+      tokens.expiresAt - this.refreshBefore <= Date.now());
+  }
+
+  // Returns a valid access token, refreshing the tokens first if needed
+  async getAccessToken() {
+    let tokens = this.getTokens();
+
+    if (!tokens) {
+      this._authorizationRequired('No tokens');
+      throw oauthError('Not authorized');
+    }
+
+    if (this.needsRefresh()) {
+      tokens = await this.refreshTokens();
+    }
+
+    return tokens.access_token;
+  }
+
+  // Refreshes the tokens using the refresh function. Returns the new tokens.
+  // Concurrent calls share the same refresh.
+  refreshTokens() {
+    const _this = this;
+
+    if (!this._refreshing) {
+      this._refreshing = this._refreshTokens()
+      .finally(function() {
+        _this._refreshing = null;
+      });
+    }
+
+    return this._refreshing;
+  }
+
+  async _refreshTokens() {
+    const tokens = this.getTokens();
+
+    if (!tokens || !tokens.refresh_token || !this.refresh) {
+      this._authorizationRequired('Tokens cannot be refreshed');
+      throw oauthError('Tokens cannot be refreshed');
+    }
+
+    let newTokens;
+
+    try {
+      newTokens = await this.refresh(tokens);
+    } catch (err) {
+      logger.error('OAuth tokens refresh failed: %s', err.message);
+      this._authorizationRequired(err.message);
+      throw err;
+    }
+
+    // The refresh token is not always returned
+    newTokens = Object.assign({ refresh_token: tokens.refresh_token },
+      newTokens);
+    delete newTokens.expiresAt;
+
+    this.setTokens(newTokens);
+
+    return this.getTokens();
+  }
+
+  // Stops the refresh timer
+  stop() {
+    this._clearTimer();
+  }
+
+  _clearTimer() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+  }
+
+  _schedule() {
+    const _this = this;
+    const tokens = this.getTokens();
+
+    this._clearTimer();
+
+    if (!tokens || !tokens.expiresAt || !this.refresh) {
+      return;
+    }
+
+    const delay = Math.min(maxDelay,
+      Math.max(0, tokens.expiresAt - this.refreshBefore - Date.now()));
+
+    this._timer = setTimeout(function() {
+      _this._timer = null;
+
+      // Long delays are capped, so the timer can fire early
+      if (!_this.needsRefresh()) {
+        _this._schedule();
+        return;
+      }
+
+      _this.refreshTokens()
+      .catch(function() {
+        // Already logged, and the notice is added
+      });
+    }, delay);
+
+    // Does not keep the process running
+    this._timer.unref();
+  }
+
+  _authorizationRequired(reason) {
+    if (!this.polyInterface.noticeExists(this.noticeKey)) {
+      this.polyInterface.addNotice(this.noticeKey, this.noticeText);
+    }
+
+    this.emit('authorizationRequired', reason);
+  }
+};
+
+function oauthError(message) {
+  const err = new Error(message);
+  err.name = 'oauthError';
+  return err;
+}
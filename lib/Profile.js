@@ -0,0 +1,351 @@
+// ISY profile (nodedefs, editors and NLS) loaded from the profile folder
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const xml = require('./xml.js');
+
+// The profile has 1 file in each of these folders, with this extension
+const profileFolders = {
+  editor: { ext: 'xml' },
+  nls: { ext: 'txt' },
+  nodedef: { ext: 'xml' },
+};
+
+module.exports = class Profile {
+  constructor(folder = 'profile/') {
+    this.folder = folder;
+
+    // Parsed profile. See _parseNodeDefs, _parseEditors and _parseNls
+    this.nodeDefs = {};
+    this.editors = {};
+    this.nls = {};
+
+    // Errors found while reading or parsing the files
+    this.errors = [];
+  }
+
+  // Files of the profile: The first file with a valid extension per folder.
+  // Returns [{ type, filename, path }]
+  getFiles() {
+    const _this = this;
+    const files = [];
+
+    Object.keys(profileFolders).forEach(function(type) {
+      const folder = path.join(_this.folder, type);
+      const filename = fs.readdirSync(folder).sort().find(function(f) {
+        return f.split('.')[1] === profileFolders[type].ext;
+      });
+
+      if (filename) {
+        files.push({
+          type: type,
+          filename: filename,
+          path: path.join(folder, filename),
+        });
+      }
+    });
+
+    return files;
+  }
+
+  // Reads and parses the profile files
+  load() {
+    const _this = this;
+    let files = [];
+
+    this.errors = [];
+
+    try {
+      files = this.getFiles();
+    } catch (err) {
+      this.errors.push(`Could not read profile folder: ${err.message}`);
+    }
+
+    Object.keys(profileFolders).forEach(function(type) {
+      const file = files.find(function(f) {
+        return f.type === type;
+      });
+
+      if (!file) {
+        _this.errors.push(`No ${profileFolders[type].ext} file found in ` +
+          `${path.join(_this.folder, type)}`);
+        return;
+      }
+
+      try {
+        const content = fs.readFileSync(file.path, 'utf8');
+
+        switch (type) {
+          case 'nodedef':
+            _this.nodeDefs = _this._parseNodeDefs(xml.parse(content));
+            break;
+
+          case 'editor':
+            _this.editors = _this._parseEditors(xml.parse(content));
+            break;
+
+          case 'nls':
+            _this.nls = _this._parseNls(content);
+            break;
+        }
+      } catch (err) {
+        _this.errors.push(`${file.path}: ${err.message}`);
+      }
+    });
+
+    return this;
+  }
+
+  // Returns { id: { id, nls, sts: { ST: { id, editor } },
+  //   accepts: { DON: { id, params: [{ id, editor, init }] } }, sends: {} } }
+  _parseNodeDefs(root) {
+    const nodeDefs = {};
+
+    const parseCmds = function(element) {
+      const cmds = {};
+      xml.children(element, 'cmd').forEach(function(cmd) {
+        cmds[cmd.attributes.id] = {
+          id: cmd.attributes.id,
+          params: xml.children(cmd, 'p').map(function(p) {
+            return Object.assign({}, p.attributes);
+          }),
+        };
+      });
+      return cmds;
+    };
+
+    xml.children(root, 'nodeDef').forEach(function(nodeDef) {
+      const sts = {};
+      const cmds = xml.child(nodeDef, 'cmds');
+
+      xml.children(xml.child(nodeDef, 'sts'), 'st').forEach(function(st) {
+        sts[st.attributes.id] = Object.assign({}, st.attributes);
+      });
+
+      nodeDefs[nodeDef.attributes.id] = {
+        id: nodeDef.attributes.id,
+        nls: nodeDef.attributes.nls,
+        sts: sts,
+        accepts: parseCmds(xml.child(cmds, 'accepts')),
+        sends: parseCmds(xml.child(cmds, 'sends')),
+      };
+    });
+
+    return nodeDefs;
+  }
+
+  // Returns { id: { id, ranges: [{ uom, min, max, prec, subset, nls }] } }
+  _parseEditors(root) {
+    const editors = {};
+
+    xml.children(root, 'editor').forEach(function(editor) {
+      editors[editor.attributes.id] = {
+        id: editor.attributes.id,
+        ranges: xml.children(editor, 'range').map(function(range) {
+          return Object.assign({}, range.attributes);
+        }),
+      };
+    });
+
+    return editors;
+  }
+
+  // Returns { key: value }
+  _parseNls(content) {
+    const nls = {};
+
+    content.split(/\r?\n/).forEach(function(line) {
+      const trimmed = line.trim();
+      const separator = trimmed.indexOf('=');
+
+      if (trimmed && trimmed[0] !== '#' && separator !== -1) {
+        nls[trimmed.slice(0, separator).trim()] =
+          trimmed.slice(separator + 1).trim();
+      }
+    });
+
+    return nls;
+  }
+
+  getNodeDef(id) {
+    return this.nodeDefs[id] || null;
+  }
+
+  getEditor(id) {
+    return this.editors[id] || null;
+  }
+
+  // Validates the profile, and checks that the node classes match it.
+  // nodes are the nodes created: the drivers and commands of a class are
+  // checked on its first node, or on its static properties if it has none.
+  // Returns { errors: [], warnings: [] }
+  validate(nodeClasses = [], nodes = []) {
+    const _this = this;
+    const errors = this.errors.slice();
+    const warnings = [];
+    const nls = this.nls;
+
+    const hasNlsPrefix = function(prefix) {
+      return Object.keys(nls).some(function(key) {
+        return key.startsWith(prefix + '-');
+      });
+    };
+
+    const checkEditor = function(where, editorId) {
+      if (editorId && !_this.editors[editorId]) {
+        errors.push(`${where}: editor ${editorId} does not exist`);
+      }
+    };
+
+    // Editors
+    Object.keys(this.editors).forEach(function(id) {
+      _this.editors[id].ranges.forEach(function(range) {
+        if (!range.uom) {
+          errors.push(`Editor ${id}: range has no uom`);
+        }
+
+        if (range.nls && !hasNlsPrefix(range.nls)) {
+          errors.push(`Editor ${id}: NLS entries ${range.nls}-* do not exist`);
+        }
+      });
+    });
+
+    // Nodedefs
+    Object.keys(this.nodeDefs).forEach(function(id) {
+      const nodeDef = _this.nodeDefs[id];
+      const where = `Nodedef ${id}`;
+
+      if (!(`ND-${id}-NAME` in nls)) {
+        errors.push(`${where}: NLS entry ND-${id}-NAME does not exist`);
+      }
+
+      Object.keys(nodeDef.sts).forEach(function(driver) {
+        checkEditor(`${where} driver ${driver}`, nodeDef.sts[driver].editor);
+
+        if (nodeDef.nls && !(`ST-${nodeDef.nls}-${driver}-NAME` in nls)) {
+          warnings.push(`${where}: NLS entry ` +
+            `ST-${nodeDef.nls}-${driver}-NAME does not exist`);
+        }
+      });
+
+      Object.keys(nodeDef.accepts).forEach(function(cmd) {
+        nodeDef.accepts[cmd].params.forEach(function(p) {
+          checkEditor(`${where} command ${cmd}`, p.editor);
+
+          if (p.init && !(p.init in nodeDef.sts)) {
+            errors.push(`${where} command ${cmd}: init driver ${p.init} ` +
+              'does not exist');
+          }
+        });
+
+        if (nodeDef.nls && !(`CMD-${nodeDef.nls}-${cmd}-NAME` in nls)) {
+          warnings.push(`${where}: NLS entry ` +
+            `CMD-${nodeDef.nls}-${cmd}-NAME does not exist`);
+        }
+      });
+    });
+
+    // Node classes
+    nodeClasses.forEach(function(NodeClass) {
+      const node = nodes.find(function(n) {
+        return n.constructor === NodeClass;
+      });
+      const result = node ? _this._validateNode(node) :
+        _this._validateNodeClass(NodeClass);
+
+      errors.push.apply(errors, result.errors);
+      warnings.push.apply(warnings, result.warnings);
+    });
+
+    return { errors: errors, warnings: warnings };
+  }
+
+  // Checks that the drivers & commands of a node match its nodedef
+  _validateNode(node) {
+    return this._validateDefinition(
+      `Node class ${node.constructor.name} (node ${node.address})`,
+      node.id, node.drivers || null, Object.keys(node.commands || {}));
+  }
+
+  // Checks that the drivers & commands of the node class match its nodedef,
+  // when the class has no node yet. The class is not instantiated, as its
+  // constructor could have side effects. Its drivers and commands are
+  // checked only if they are declared as static properties:
+  //   MyNode.drivers = { ST: { uom: 51 } };
+  //   MyNode.commands = ['DON', 'DOF']; // Or an object keyed by command
+  _validateNodeClass(NodeClass) {
+    const commands = Array.isArray(NodeClass.commands) ?
+      NodeClass.commands :
+      NodeClass.commands ? Object.keys(NodeClass.commands) : null;
+
+    return this._validateDefinition(`Node class ${NodeClass.name}`,
+      NodeClass.nodeDefId, NodeClass.drivers || null, commands);
+  }
+
+  // drivers and commands are not checked if null
+  _validateDefinition(where, nodeDefId, drivers, commands) {
+    const errors = [];
+    const warnings = [];
+    const nodeDef = this.nodeDefs[nodeDefId];
+
+    if (!nodeDef) {
+      errors.push(`${where}: nodedef ${nodeDefId} does not exist`);
+      return { errors: errors, warnings: warnings };
+    }
+
+    if (drivers) {
+      this._validateDrivers(where, nodeDef, drivers, errors, warnings);
+    }
+
+    if (commands) {
+      commands.forEach(function(cmd) {
+        if (!nodeDef.accepts[cmd]) {
+          errors.push(`${where}: command ${cmd} is not accepted by ` +
+            `nodedef ${nodeDef.id}`);
+        }
+      });
+
+      Object.keys(nodeDef.accepts).forEach(function(cmd) {
+        if (!commands.includes(cmd)) {
+          warnings.push(`${where}: command ${cmd} of nodedef ${nodeDef.id} ` +
+            'is not handled');
+        }
+      });
+    }
+
+    return { errors: errors, warnings: warnings };
+  }
+
+  _validateDrivers(where, nodeDef, drivers, errors, warnings) {
+    const _this = this;
+
+    Object.keys(drivers).forEach(function(driver) {
+      const st = nodeDef.sts[driver];
+
+      if (!st) {
+        errors.push(`${where}: driver ${driver} does not exist in ` +
+          `nodedef ${nodeDef.id}`);
+        return;
+      }
+
+      const editor = _this.editors[st.editor];
+      const uom = drivers[driver].uom;
+      if (uom !== undefined && editor && editor.ranges.length &&
+        !editor.ranges.some(function(range) {
+          return range.uom === '' + uom;
+        })) {
+        errors.push(`${where}: driver ${driver} uom ${uom} does not match ` +
+          `editor ${editor.id}`);
+      }
+    });
+
+    Object.keys(nodeDef.sts).forEach(function(driver) {
+      if (!(driver in drivers)) {
+        warnings.push(`${where}: driver ${driver} of nodedef ${nodeDef.id} ` +
+          'is not defined in drivers');
+      }
+    });
+  }
+};
@@ -1,44 +1,390 @@
 'use strict';
 
+const events = require('events');
 const logger = require('./logger.js');
+const CancelToken = require('./CancelToken.js');
 
-// Generic promise queue (FIFO)
-module.exports = class dataq {
-  constructor(cb, callerContext, name) {
+// Generic promise queue.
+// Items with the same key are processed one at a time, in order. Items with
+// different keys are processed in parallel, up to concurrency. Items without
+// a key are processed alone (nothing else runs at the same time).
+// Items with a higher priority are processed first.
+//
+// Events (entry is { id, item, key, priority, addedAt, startedAt, attempts }):
+// enqueued(entry), started(entry), completed(entry, duration),
+// failed(entry, err), timeout(entry), cancelled(entry),
+// dropped(entry) when the queue is full, drained() when the queue becomes
+// empty, and error(err, entry) when an item fails or times out (only if
+// there is a listener).
+//
+// Items which failed or timed out are kept in the dead letters, and can be
+// retried.
+module.exports = class dataq extends events.EventEmitter {
+  // options:
+  //   concurrency: Max items processed in parallel (default 1)
+  //   timeout: Max processing time of an item in ms. 0 for no timeout.
+  //   maxDepth: Max number of items waiting. 0 for no limit.
+  //   overflow: What to do when the queue is full: 'dropOldest' (default)
+  //     drops the oldest item with the lowest priority, 'dropNewest' drops
+  //     the item added.
+  //   getKey(item), getPriority(item), getTimeout(item): Per item settings.
+  //     By default, items have no key (processed alone) and priority 0.
+  //   deadLetters: Max number of dead letters kept (default 100)
+  //   latencySamples: Number of latencies kept for the stats (default 1000)
+  constructor(cb, callerContext, name, options = {}) {
+    super();
     this.qname = name;
-    this.pool = [];
-    this.Qprocessing = 0;
     this.dataProcessor = cb;
     this.context = callerContext;
+
+    this.concurrency = options.concurrency || 1;
+    this.timeout = options.timeout || 0;
+    this.maxDepth = options.maxDepth || 0;
+    this.overflow = options.overflow || 'dropOldest';
+    this.getKey = options.getKey || function() { return null; };
+    this.getPriority = options.getPriority || function() { return 0; };
+    this.getTimeout = options.getTimeout || null;
+
+    this.pool = []; // Entries waiting, sorted by priority
+    this.running = []; // Entries being processed
+    this.lastId = 0;
+
+    // Failed items: [{ id, item, error, failedAt, attempts }]
+    this.deadLetters = [];
+    this.maxDeadLetters = 'deadLetters' in options ? options.deadLetters : 100;
+
+    // Metrics. Latency is the time from add() to the end of processing.
+    this.counters = {
+      processed: 0,
+      failed: 0,
+      timedOut: 0,
+      cancelled: 0,
+      dropped: 0,
+      retried: 0,
+    };
+    this.latencies = [];
+    this.maxLatencies = options.latencySamples || 1000;
+  }
+
+  // Number of items waiting
+  get length() {
+    return this.pool.length;
+  }
+
+  // Number of items being processed
+  get inFlight() {
+    return this.running.length;
+  }
+
+  isIdle() {
+    return !this.pool.length && !this.running.length;
+  }
+
+  // Resolves when the queue is empty
+  waitIdle() {
+    const _this = this;
+
+    return new Promise(function(resolve) {
+      if (_this.isIdle()) {
+        resolve();
+      } else {
+        _this.once('drained', resolve);
+      }
+    });
   }
 
   // this adds one item to the queue, and start processing it.
-  add(item) {
-    this.pool.push(item);
+  // Returns the id of the entry, or null if it was dropped.
+  add(item, attempts = 0) {
+    const entry = {
+      id: ++this.lastId,
+      item: item,
+      key: this.getKey(item),
+      priority: this.getPriority(item),
+      addedAt: Date.now(),
+      startedAt: null,
+      attempts: attempts,
+    };
+
+    if (this.maxDepth && this.pool.length >= this.maxDepth) {
+      if (this.overflow === 'dropNewest') {
+        this._drop(entry);
+        return null;
+      }
+
+      // The oldest entry with the lowest priority is the first entry of the
+      // last priority group
+      const lowest = this.pool[this.pool.length - 1].priority;
+      const index = this.pool.findIndex(function(e) {
+        return e.priority === lowest;
+      });
+      this._drop(this.pool.splice(index, 1)[0]);
+    }
+
+    // Inserted after the entries with the same or a higher priority
+    let index = this.pool.findIndex(function(e) {
+      return e.priority < entry.priority;
+    });
+    if (index === -1) {
+      index = this.pool.length;
+    }
+    this.pool.splice(index, 0, entry);
+
+    this.emit('enqueued', entry);
     this.process();
+
+    return entry.id;
+  }
+
+  _drop(entry) {
+    logger.warn('Queue %s is full, item dropped: %o', this.qname, entry.item);
+    this.counters.dropped++;
+    this.emit('dropped', entry);
+  }
+
+  // Returns { length, inFlight, processed, failed, timedOut, cancelled,
+  //   dropped, retried, deadLetters, latency: { avg, p50, p95, p99, max } }
+  // Latencies are in ms, for the last latencySamples items.
+  getStats() {
+    const sorted = this.latencies.slice().sort(function(a, b) {
+      return a - b;
+    });
+
+    const percentile = function(p) {
+      return sorted.length ?
+        sorted[Math.min(sorted.length - 1,
+          Math.ceil(p / 100 * sorted.length) - 1)] : null;
+    };
+
+    return Object.assign({
+      length: this.pool.length,
+      inFlight: this.running.length,
+      deadLetters: this.deadLetters.length,
+    }, this.counters, {
+      latency: {
+        avg: sorted.length ? sorted.reduce(function(sum, latency) {
+          return sum + latency;
+        }, 0) / sorted.length : null,
+        p50: percentile(50),
+        p95: percentile(95),
+        p99: percentile(99),
+        max: sorted.length ? sorted[sorted.length - 1] : null,
+      },
+    });
+  }
+
+  // Returns a copy of the dead letters
+  getDeadLetters() {
+    return this.deadLetters.slice();
+  }
+
+  clearDeadLetters() {
+    this.deadLetters = [];
+  }
+
+  // Adds a dead letter to the queue again. Returns the new entry id, or
+  // null if the dead letter does not exist.
+  retry(id) {
+    const index = this.deadLetters.findIndex(function(deadLetter) {
+      return deadLetter.id === id;
+    });
+
+    if (index === -1) {
+      return null;
+    }
+
+    const deadLetter = this.deadLetters.splice(index, 1)[0];
+    this.counters.retried++;
+
+    return this.add(deadLetter.item, deadLetter.attempts);
+  }
+
+  // Adds all the dead letters to the queue again. Returns the new entry ids.
+  retryAll() {
+    const _this = this;
+
+    return this.deadLetters.map(function(deadLetter) {
+      return deadLetter.id;
+    }).map(function(id) {
+      return _this.retry(id);
+    });
+  }
+
+  _addDeadLetter(entry, err) {
+    this.deadLetters.push({
+      id: entry.id,
+      item: entry.item,
+      error: err,
+      failedAt: new Date(),
+      attempts: entry.attempts,
+    });
+
+    while (this.deadLetters.length > this.maxDeadLetters) {
+      this.deadLetters.shift();
+    }
   }
 
-  // This processes one item at a time until queue is empty.
+  _addLatency(entry) {
+    this.latencies.push(Date.now() - entry.addedAt);
+
+    if (this.latencies.length > this.maxLatencies) {
+      this.latencies.shift();
+    }
+  }
+
+  // Records a failed or timed out entry
+  _failed(entry, err) {
+    this._addLatency(entry);
+    this._addDeadLetter(entry, err);
+
+    if (this.listenerCount('error')) {
+      this.emit('error', err, entry);
+    }
+  }
+
+  // Cancels an entry. If waiting, it is removed from the queue. If being
+  // processed, its signal is aborted and the next items can be processed.
+  // Returns true if the entry was found.
+  cancel(id) {
+    const index = this.pool.findIndex(function(e) {
+      return e.id === id;
+    });
+
+    if (index !== -1) {
+      this.counters.cancelled++;
+      this.emit('cancelled', this.pool.splice(index, 1)[0]);
+      this._checkDrained();
+      return true;
+    }
+
+    const entry = this.running.find(function(e) {
+      return e.id === id;
+    });
+
+    if (entry) {
+      this._release(entry);
+      entry.controller.abort();
+      this.counters.cancelled++;
+      this.emit('cancelled', entry);
+      return true;
+    }
+
+    return false;
+  }
+
+  // Entry that can be processed next, or null
+  _next() {
+    const busyKeys = this.running.map(function(e) {
+      return e.key;
+    });
+
+    if (this.running.length >= this.concurrency ||
+      busyKeys.includes(null)) {
+      return null;
+    }
+
+    for (let i = 0; i < this.pool.length; i++) {
+      const entry = this.pool[i];
+
+      if (entry.key === null) {
+        // Waits for the items being processed. Items after it also wait.
+        return this.running.length ? null : this.pool.splice(i, 1)[0];
+      }
+
+      if (!busyKeys.includes(entry.key)) {
+        return this.pool.splice(i, 1)[0];
+      }
+    }
+
+    return null;
+  }
+
+  // Processes the items, up to concurrency at a time, until queue is empty.
   process() {
+    let entry;
+
+    while ((entry = this._next())) {
+      this._run(entry);
+    }
+  }
+
+  _run(entry) {
     const self = this;
+    const timeout = this.getTimeout ? this.getTimeout(entry.item) :
+      this.timeout;
+    let timer = null;
 
-    if (!this.Qprocessing && this.pool.length) {
-      this.Qprocessing++;
+    entry.startedAt = Date.now();
+    entry.attempts++;
+    entry.controller = new CancelToken();
+    this.running.push(entry);
+    this.emit('started', entry);
 
-      this.dataProcessor.call(this.context, this.pool.shift())
-      .catch(function(err) {
-        logger.errorStack(err, 'Queue %s process error catched. ' +
-          'Currently processing %d:', self.qname, self.Qprocessing);
-      })
-      .then(function() {
-        self.Qprocessing--;
+    if (timeout) {
+      timer = setTimeout(function() {
+        if (self._release(entry)) {
+          logger.error('Queue %s: item timed out after %dms: %o',
+            self.qname, timeout, entry.item);
+          entry.controller.abort();
+          self.counters.timedOut++;
+          self.emit('timeout', entry);
 
-        process.nextTick(function() {
-          self.process();
-        });
-      });
+          const err = new Error(`Timed out after ${timeout}ms`);
+          err.name = 'timeout';
+          self._failed(entry, err);
+        }
+      }, timeout);
     }
+
+    Promise.resolve()
+    .then(function() {
+      return self.dataProcessor.call(self.context, entry.item,
+        entry.controller.signal);
+    })
+    .then(function() {
+      if (self._release(entry)) {
+        self.counters.processed++;
+        self._addLatency(entry);
+        self.emit('completed', entry, Date.now() - entry.startedAt);
+      }
+    }, function(err) {
+      logger.errorStack(err, 'Queue %s process error catched. ' +
+        'Currently processing %d:', self.qname, self.running.length);
+
+      if (self._release(entry)) {
+        self.counters.failed++;
+        self.emit('failed', entry, err);
+        self._failed(entry, err);
+      }
+    })
+    .then(function() {
+      clearTimeout(timer);
+    });
   }
-};
 
+  // Removes the entry from the running entries, and processes the next
+  // items. Returns false if it was already removed (timed out or cancelled).
+  _release(entry) {
+    const self = this;
+    const index = this.running.indexOf(entry);
+
+    if (index === -1) {
+      return false;
+    }
+
+    this.running.splice(index, 1);
+
+    process.nextTick(function() {
+      self.process();
+      self._checkDrained();
+    });
 
+    return true;
+  }
+
+  _checkDrained() {
+    if (this.isIdle()) {
+      this.emit('drained');
+    }
+  }
+};
@@ -0,0 +1,148 @@
+'use strict';
+
+// Registry of the requests sent to Polyglot which are waiting for a result.
+// Each request has a unique id. Requests waiting for the same result key
+// (Example: status-node003) are resolved in the order they were sent.
+module.exports = class RequestRegistry {
+  constructor() {
+    this._requests = new Map(); // id -> request
+    this._nextId = 1;
+  }
+
+  // Registers a new pending request. Returns the request, which has a promise
+  // settled when the result is received, on timeout, or when aborted.
+  // options: timeout (ms, 0 for none), signal (AbortSignal), message
+  add(key, options = {}) {
+    const _this = this;
+
+    const request = {
+      id: this._nextId++,
+      key: key,
+      message: options.message,
+      timeout: options.timeout || 0,
+      createdAt: new Date(),
+    };
+
+    request.promise = new Promise(function(resolve, reject) {
+      request.resolve = function(value) {
+        _this._cleanup(request);
+        resolve(value);
+      };
+
+      request.reject = function(err) {
+        _this._cleanup(request);
+        reject(err);
+      };
+    });
+
+    if (request.timeout) {
+      // Fail the request if timeout is reached
+      request.timer = setTimeout(function() {
+        let err = new Error('Polyglot result message not received');
+
+        // Allows catch to detect if the error is due to a timeout.
+        err.name = 'timeout';
+        request.reject(err);
+      }, request.timeout);
+    }
+
+    if (options.signal) {
+      request.signal = options.signal;
+      request.onAbort = function() {
+        let err = new Error('Request aborted');
+        err.name = 'AbortError';
+        request.reject(err);
+      };
+
+      if (options.signal.aborted) {
+        request.onAbort();
+      } else {
+        options.signal.addEventListener('abort', request.onAbort);
+      }
+    }
+
+    // Aborted before being registered
+    if (!request.settled) {
+      this._requests.set(request.id, request);
+    }
+
+    return request;
+  }
+
+  // Removes the request, and everything that could keep it alive
+  _cleanup(request) {
+    request.settled = true;
+    this._requests.delete(request.id);
+
+    if (request.timer) {
+      clearTimeout(request.timer);
+    }
+
+    if (request.signal) {
+      request.signal.removeEventListener('abort', request.onAbort);
+    }
+  }
+
+  // Oldest pending request waiting for this key
+  _find(key) {
+    for (const request of this._requests.values()) {
+      if (request.key === key) {
+        return request;
+      }
+    }
+
+    return null;
+  }
+
+  // Resolves the oldest request waiting for this key. Returns false if there
+  // are none.
+  resolve(key, value) {
+    const request = this._find(key);
+
+    if (request) {
+      request.resolve(value);
+    }
+
+    return !!request;
+  }
+
+  // Rejects the oldest request waiting for this key. Returns false if there
+  // are none.
+  reject(key, err) {
+    const request = this._find(key);
+
+    if (request) {
+      request.reject(err);
+    }
+
+    return !!request;
+  }
+
+  // Rejects all pending requests (Used when stopping or disconnecting)
+  rejectAll(err) {
+    // Copy, as rejecting removes the request from the map
+    Array.from(this._requests.values()).forEach(function(request) {
+      request.reject(err);
+    });
+  }
+
+  // Information about the requests still waiting for a result
+  list() {
+    const now = Date.now();
+
+    return Array.from(this._requests.values()).map(function(request) {
+      return {
+        id: request.id,
+        key: request.key,
+        message: request.message,
+        createdAt: request.createdAt,
+        age: now - request.createdAt.valueOf(),
+        timeout: request.timeout,
+      };
+    });
+  }
+
+  get size() {
+    return this._requests.size;
+  }
+};
@@ -0,0 +1,340 @@
+'use strict';
+
+const events = require('events');
+const logger = require('./logger.js');
+const cron = require('./cron.js');
+
+// Largest delay accepted by setTimeout
+const maxDelay = 2147483647;
+
+// Runs named jobs periodically.
+// A job does not run again while it is still running (The run is skipped).
+// A run taking longer than the job timeout is considered finished, so that a
+// job that never resolves does not stop the next runs.
+// Jobs are paused while the interface is disconnected, unless
+// runWhileDisconnected is set.
+//
+// Events: jobError(name, err), jobSkipped(name), jobTimeout(name)
+module.exports = class Scheduler extends events.EventEmitter {
+  // options:
+  //   timeout: Default timeout of the jobs in seconds. 0 for no timeout.
+  constructor(options = {}) {
+    super();
+
+    this.timeout = 'timeout' in options ? options.timeout : 300;
+
+    // Jobs by name. See add()
+    this._jobs = {};
+
+    // True while disconnected
+    this._paused = false;
+  }
+
+  // Adds or replaces a job. fn(job) can be async.
+  // options:
+  //   interval: Run every interval seconds
+  //   cron: Cron expression, e.g. '*/5 * * * *' (See cron.js)
+  //   backoff: { initial, max, factor } Delay in seconds after failures.
+  //     The delay is initial * factor ^ (failures - 1), up to max.
+  //   jitter: Adds a random delay of up to jitter seconds to each run
+  //   node: Address of the node this job belongs to
+  //   runWhileDisconnected: Do not pause this job while disconnected
+  //   immediate: Runs the job now, then on schedule
+  //   timeout: Max time of a run in seconds (scheduler timeout by default).
+  //     0 for no timeout.
+  // Returns the job { name, node, options, stats }
+  add(name, options, fn) {
+    if (typeof fn !== 'function') {
+      throw new Error(`Job ${name}: fn is not a function`);
+    }
+
+    if (!options.interval && !options.cron) {
+      throw new Error(`Job ${name}: interval or cron is required`);
+    }
+
+    const job = {
+      name: name,
+      node: options.node || null,
+      options: Object.assign({}, options),
+      fn: fn,
+      cron: options.cron ? cron.parse(options.cron) : null,
+      timer: null,
+      paused: false,
+      stats: {
+        runs: 0,
+        failures: 0,
+        skipped: 0,
+        timedOut: 0,
+        consecutiveFailures: 0,
+        running: false,
+        lastRun: null,
+        lastDuration: null,
+        avgDuration: null,
+        lastError: null,
+        nextRun: null,
+      },
+    };
+
+    this.remove(name);
+    this._jobs[name] = job;
+
+    if (options.immediate && this._canRun(job)) {
+      this._run(job);
+    }
+
+    this._schedule(job);
+
+    return job;
+  }
+
+  // Removes a job. Returns true if it existed.
+  remove(name) {
+    const job = this._jobs[name];
+
+    if (job) {
+      clearTimeout(job.timer);
+      delete this._jobs[name];
+    }
+
+    return !!job;
+  }
+
+  // Removes all the jobs of a node
+  removeNode(address) {
+    const _this = this;
+
+    this.list({ node: address }).forEach(function(job) {
+      _this.remove(job.name);
+    });
+  }
+
+  has(name) {
+    return name in this._jobs;
+  }
+
+  get(name) {
+    return this._jobs[name] || null;
+  }
+
+  // Returns the jobs. filter: { node }
+  list(filter = {}) {
+    const _this = this;
+
+    return Object.keys(this._jobs).map(function(name) {
+      return _this._jobs[name];
+    }).filter(function(job) {
+      return !('node' in filter) || job.node === filter.node;
+    });
+  }
+
+  // Returns a copy of the stats of a job, or of all jobs by name
+  getStats(name = null) {
+    const _this = this;
+
+    if (name) {
+      return this._jobs[name] ?
+        Object.assign({}, this._jobs[name].stats) : null;
+    }
+
+    const stats = {};
+    Object.keys(this._jobs).forEach(function(jobName) {
+      stats[jobName] = _this.getStats(jobName);
+    });
+    return stats;
+  }
+
+  // Pauses a job, or all the jobs (used while disconnected)
+  pause(name = null) {
+    if (name) {
+      if (this._jobs[name]) {
+        this._jobs[name].paused = true;
+      }
+    } else {
+      this._paused = true;
+    }
+  }
+
+  // Resumes a job, or all the jobs
+  resume(name = null) {
+    if (name) {
+      if (this._jobs[name]) {
+        this._jobs[name].paused = false;
+      }
+    } else {
+      this._paused = false;
+    }
+  }
+
+  isPaused(name = null) {
+    return name ? !!this._jobs[name] && !this._canRun(this._jobs[name]) :
+      this._paused;
+  }
+
+  // Runs a job now. Resolves when done. Skipped if it is already running.
+  runNow(name) {
+    const job = this._jobs[name];
+
+    if (!job) {
+      return Promise.reject(new Error(`Job ${name} does not exist`));
+    }
+
+    return this._run(job);
+  }
+
+  // Removes all the jobs
+  stop() {
+    const _this = this;
+
+    Object.keys(this._jobs).forEach(function(name) {
+      _this.remove(name);
+    });
+  }
+
+  _canRun(job) {
+    return !job.paused && (!this._paused || !!job.options.runWhileDisconnected);
+  }
+
+  // Delay before the next run, in ms
+  _nextDelay(job) {
+    const options = job.options;
+    const failures = job.stats.consecutiveFailures;
+    let delay;
+
+    if (failures && options.backoff) {
+      const backoff = options.backoff;
+      const initial = backoff.initial || options.interval || 1;
+
+      delay = Math.min(backoff.max || Infinity,
+        initial * Math.pow(backoff.factor || 2, failures - 1)) * 1000;
+    } else if (job.cron) {
+      const next = cron.next(job.cron);
+      delay = next ? next.getTime() - Date.now() : null;
+    } else {
+      delay = options.interval * 1000;
+    }
+
+    if (delay !== null && options.jitter) {
+      delay += Math.random() * options.jitter * 1000;
+    }
+
+    return delay;
+  }
+
+  // Computes the next run, and sets the timer
+  _schedule(job) {
+    const delay = this._nextDelay(job);
+
+    clearTimeout(job.timer);
+
+    if (delay === null) {
+      job.stats.nextRun = null;
+      logger.error('Job %s will never run', job.name);
+      return;
+    }
+
+    job.stats.nextRun = new Date(Date.now() + delay);
+    this._setTimer(job);
+  }
+
+  _setTimer(job) {
+    const _this = this;
+    const delay = job.stats.nextRun.getTime() - Date.now();
+
+    // Long delays are capped, the timer is set again when it fires
+    job.timer = setTimeout(function() {
+      // The job could have been removed or replaced
+      if (_this._jobs[job.name] !== job) {
+        return;
+      }
+
+      if (Date.now() < job.stats.nextRun.getTime()) {
+        _this._setTimer(job);
+      } else {
+        _this._onTimer(job);
+      }
+    }, Math.max(0, Math.min(delay, maxDelay)));
+  }
+
+  _onTimer(job) {
+    const _this = this;
+
+    if (!this._canRun(job)) {
+      this._schedule(job);
+    } else if (job.options.backoff) {
+      // The delay depends on the result, so the next run is scheduled after
+      this._run(job)
+      .then(function() {
+        if (_this._jobs[job.name] === job) {
+          _this._schedule(job);
+        }
+      });
+    } else {
+      this._schedule(job);
+      this._run(job);
+    }
+  }
+
+  async _run(job) {
+    const stats = job.stats;
+    const timeout = 'timeout' in job.options ? job.options.timeout :
+      this.timeout;
+    let timer = null;
+    let timeoutErr = null;
+
+    if (stats.running) {
+      stats.skipped++;
+      logger.warn('Job %s is still running, run skipped', job.name);
+      this.emit('jobSkipped', job.name);
+      return;
+    }
+
+    const start = Date.now();
+    stats.running = true;
+    stats.lastRun = new Date(start);
+
+    const timedOut = new Promise(function(resolve, reject) {
+      if (timeout) {
+        timer = setTimeout(function() {
+          timeoutErr = new Error(`Timed out after ${timeout}s`);
+          timeoutErr.name = 'timeout';
+          reject(timeoutErr);
+        }, timeout * 1000);
+        timer.unref();
+      }
+    });
+
+    try {
+      await Promise.race([
+        Promise.resolve().then(function() {
+          return job.fn({ name: job.name, node: job.node });
+        }),
+        timedOut,
+      ]);
+      stats.consecutiveFailures = 0;
+    } catch (err) {
+      stats.failures++;
+      stats.consecutiveFailures++;
+      stats.lastError = err && err.message ? err.message : '' + err;
+
+      if (err === timeoutErr) {
+        // The run is abandoned. The job can run again.
+        stats.timedOut++;
+        logger.error('Job %s timed out after %ds', job.name, timeout);
+        this.emit('jobTimeout', job.name);
+      } else {
+        logger.error('Job %s failed: %s', job.name, stats.lastError);
+      }
+
+      this.emit('jobError', job.name, err);
+    } finally {
+      const duration = Date.now() - start;
+
+      clearTimeout(timer);
+      stats.running = false;
+      stats.runs++;
+      stats.lastDuration = duration;
+      stats.avgDuration = stats.avgDuration === null ? duration :
+        (stats.avgDuration * (stats.runs - 1) + duration) / stats.runs;
+    }
+  }
+};
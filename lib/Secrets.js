@@ -0,0 +1,89 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const algorithm = 'aes-256-gcm';
+
+// Prefix of the encrypted values, in case the format changes
+const format = 'v1';
+
+// Secrets stored encrypted in the custom data, under customData._secrets.
+// The key is derived from the key passed in the options, or else from the
+// nodeserver identity (worker, userId and profileNum). The identity is known
+// to anyone who can read the custom data, so without a key, the secrets are
+// only obfuscated.
+module.exports = class Secrets {
+  // options: key: String or buffer used instead of the nodeserver identity
+  //   namespace: Custom data key where secrets are kept (default '_secrets')
+  constructor(polyInterface, options = {}) {
+    this.polyInterface = polyInterface;
+
+    const secret = options.key || [
+      polyInterface._worker,
+      polyInterface._userId,
+      polyInterface._profileNum,
+    ].join(':');
+
+    this._key = crypto.scryptSync(secret, 'pgc-interface-secrets', 32);
+    this._namespace = polyInterface.getCustomDataStore().namespace(
+      options.namespace || '_secrets');
+  }
+
+  // Encrypts any JSON serializable value. Returns a string.
+  encrypt(value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(algorithm, this._key, iv);
+    const encrypted = Buffer.concat([
+      cipher.update(JSON.stringify(value), 'utf8'),
+      cipher.final(),
+    ]);
+
+    return [
+      format,
+      iv.toString('base64'),
+      cipher.getAuthTag().toString('base64'),
+      encrypted.toString('base64'),
+    ].join(':');
+  }
+
+  // Decrypts a string returned by encrypt().
+  // Throws an error if the key is wrong or the data was modified.
+  decrypt(str) {
+    const parts = typeof str === 'string' ? str.split(':') : [];
+
+    if (parts.length !== 4 || parts[0] !== format) {
+      throw new Error('Invalid encrypted value');
+    }
+
+    const decipher = crypto.createDecipheriv(algorithm, this._key,
+      Buffer.from(parts[1], 'base64'));
+    decipher.setAuthTag(Buffer.from(parts[2], 'base64'));
+
+    const decrypted = Buffer.concat([
+      decipher.update(Buffer.from(parts[3], 'base64')),
+      decipher.final(),
+    ]);
+
+    return JSON.parse(decrypted.toString('utf8'));
+  }
+
+  // Returns the decrypted secret, or defaultValue if it does not exist.
+  // Throws an error if the secret cannot be decrypted.
+  get(name, defaultValue) {
+    const encrypted = this._namespace.get(name);
+
+    return encrypted === undefined ? defaultValue : this.decrypt(encrypted);
+  }
+
+  has(name) {
+    return this._namespace.get(name) !== undefined;
+  }
+
+  set(name, value) {
+    this._namespace.set(name, this.encrypt(value));
+  }
+
+  delete(name) {
+    this._namespace.delete(name);
+  }
+};
@@ -0,0 +1,508 @@
+// Polyglot Cloud simulator, used to test node servers without the cloud.
+// It replaces the MQTT connection of the Interface with an in-process
+// transport speaking the same topics as PGC.
+
+'use strict';
+
+const assert = require('assert');
+const events = require('events');
+const logger = require('./logger.js');
+const Transport = require('./Transport.js');
+
+// Transport connected to the simulator instead of an MQTT broker
+class SimulatorTransport extends Transport {
+  constructor(simulator) {
+    super();
+    this.simulator = simulator;
+    this.connected = false;
+    this.subscriptions = [];
+  }
+
+  connect() {
+    const simulator = this.simulator;
+
+    // Counted as a pending response, so that idle() waits for it
+    if (simulator.autoConnect) {
+      simulator._pendingResponses++;
+
+      process.nextTick(function() {
+        simulator._pendingResponses--;
+        simulator.connect();
+      });
+    }
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  subscribe(topic) {
+    if (!this.subscriptions.includes(topic)) {
+      this.subscriptions.push(topic);
+    }
+  }
+
+  async publish(topic, payload, options = {}) {
+    this.simulator._onPublish(topic, payload);
+  }
+
+  async end() {
+    const wasConnected = this.connected;
+    this.connected = false;
+
+    if (wasConnected) {
+      this.emit('close');
+    }
+    this.emit('end');
+  }
+}
+
+module.exports = class Simulator extends events.EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.stage = options.stage || 'test';
+    this.worker = options.worker || 'simulator';
+    this.userId = options.userId || 'simulator';
+    this.profileNum = options.profileNum || 1;
+    this.id = options.id || 'simulator';
+
+    // Answers addnode/removenode with a result message, like PGC does
+    this.autoResult = options.autoResult !== false;
+
+    // Sends an updated config when nodes, params, data or notices change
+    this.autoConfig = options.autoConfig !== false;
+
+    // Connects the client as soon as the Interface is started
+    this.autoConnect = options.autoConnect !== false;
+
+    // This is the config PGC holds for this node server
+    this.config = Object.assign({
+      nodes: {},
+      customParams: {},
+      customData: {},
+      notices: {},
+      shortPoll: 10,
+      longPoll: 60,
+    }, options.config, {
+      profileNum: this.profileNum,
+      userId: this.userId,
+      worker: this.worker,
+      id: this.id,
+    });
+
+    // Every message published by the Interface: { topic, service, message }
+    this.sent = [];
+
+    // Responses to the Interface messages not yet sent
+    this._pendingResponses = 0;
+
+    this.transport = null;
+    this.polyInterface = null;
+  }
+
+  get recvTopic() {
+    return `${this.stage}/ns/${this.worker}`;
+  }
+
+  // Creates an Interface connected to this simulator.
+  // options are passed to the Interface constructor.
+  createInterface(declaredNodeClasses, options = {}) {
+    // Required here to avoid a circular dependency
+    const Interface = require('./Interface.js');
+
+    this.transport = new SimulatorTransport(this);
+    this.polyInterface = new Interface(declaredNodeClasses,
+      Object.assign({
+        stage: this.stage,
+        nodeserver: JSON.parse(JSON.stringify(this.config)),
+        handleSignals: false,
+      }, options, { transport: this.transport }));
+
+    return this.polyInterface;
+  }
+
+  // Makes an existing Interface use the simulator instead of MQTT.
+  // Must be called before polyInterface.start()
+  attach(polyInterface) {
+    this.transport = new SimulatorTransport(this);
+    this.polyInterface = polyInterface;
+    polyInterface._transport = this.transport;
+
+    return this;
+  }
+
+  // Simulates the MQTT connection being established (or re-established)
+  connect() {
+    this.transport.connected = true;
+    this.transport.emit('connect');
+  }
+
+  // Simulates a broken MQTT connection
+  disconnect() {
+    this.transport.connected = false;
+    this.transport.emit('offline');
+    this.transport.emit('close');
+  }
+
+  // Simulates MQTT.js reconnecting after a disconnect: 'reconnect' is emitted
+  // when the attempt starts, and the connection is established right after,
+  // unless connect is false (the attempt is still going on).
+  reconnect(connect = true) {
+    const _this = this;
+
+    this.transport.emit('reconnect');
+
+    if (connect) {
+      this._pendingResponses++;
+
+      setImmediate(function() {
+        _this._pendingResponses--;
+        _this.connect();
+      });
+    }
+  }
+
+  // Sends a raw message to the Interface on its receive topic
+  send(message) {
+    const transport = this.transport;
+    const topic = this.recvTopic;
+
+    assert(transport, 'Simulator: Interface not created');
+
+    if (!transport.connected || !transport.subscriptions.includes(topic)) {
+      logger.warn('Simulator: Interface not subscribed, message dropped');
+      return;
+    }
+
+    const payload = Buffer.from(JSON.stringify(Object.assign({
+      userId: this.userId,
+      profileNum: '' + this.profileNum,
+    }, message)));
+
+    transport.emit('message', topic, payload);
+  }
+
+  // Sends the config. Properties passed are merged into the current config
+  sendConfig(config = {}) {
+    Object.assign(this.config, config);
+    this.send({ config: this.config });
+  }
+
+  sendCommand(address, cmd, value = null, uom = null, query = null) {
+    const command = { address: address, cmd: cmd };
+
+    if (value !== null) {
+      command.value = '' + value;
+    }
+
+    if (uom !== null) {
+      command.uom = '' + uom;
+    }
+
+    if (query) {
+      command.query = query;
+    }
+
+    this.send({ command: command });
+  }
+
+  sendQuery(address) {
+    this.send({ query: { address: address }});
+  }
+
+  sendStatus(address) {
+    this.send({ status: { address: address }});
+  }
+
+  sendPolls(shortPoll, longPoll) {
+    this.config.shortPoll = shortPoll;
+    this.config.longPoll = longPoll;
+    this.send({ polls: { shortPoll: shortPoll, longPoll: longPoll }});
+  }
+
+  sendOauth(oauth) {
+    this.send({ oauth: oauth });
+  }
+
+  sendStop() {
+    this.send({ stop: {} });
+  }
+
+  sendResult(result) {
+    this.send({ result: Object.assign({ profileNum: '' + this.profileNum },
+      result) });
+  }
+
+  // Waits until the simulator responses are sent, and all the messages
+  // queued in the Interface are processed
+  idle() {
+    const _this = this;
+    const queue = this.polyInterface._queue;
+
+    return new Promise(function(resolve) {
+      (function check() {
+        if (!_this._pendingResponses && queue.isIdle()) {
+          resolve();
+        } else {
+          setImmediate(check);
+        }
+      })();
+    });
+  }
+
+  // Messages sent by the Interface having this key (addnode, status...)
+  getSent(key = null) {
+    return this.sent
+    .filter(function(sent) {
+      return !key || key in sent.message;
+    })
+    .map(function(sent) {
+      return sent.message;
+    });
+  }
+
+  lastSent(key = null) {
+    const messages = this.getSent(key);
+    return messages.length ? messages[messages.length - 1] : null;
+  }
+
+  clearSent() {
+    this.sent = [];
+  }
+
+  // Throws an AssertionError if no message with key matches expected.
+  // expected can be a partial object of the message content, or a function.
+  assertSent(key, expected = null) {
+    const found = this.getSent(key).find(function(message) {
+      return matches(message[key], expected);
+    });
+
+    if (!found) {
+      assert.fail(`Simulator: No ${key} message matching ` +
+        `${JSON.stringify(expected)} was sent. Sent: ` +
+        JSON.stringify(this.getSent(key)));
+    }
+
+    return found;
+  }
+
+  assertNotSent(key, expected = null) {
+    const found = this.getSent(key).find(function(message) {
+      return matches(message[key], expected);
+    });
+
+    if (found) {
+      assert.fail(`Simulator: Unexpected ${key} message sent: ` +
+        JSON.stringify(found));
+    }
+  }
+
+  // Resolves with the first message (already sent or to come) with key
+  // matching expected
+  waitForSent(key, expected = null, timeout = 2000) {
+    const _this = this;
+
+    const found = this.getSent(key).find(function(message) {
+      return matches(message[key], expected);
+    });
+
+    if (found) {
+      return Promise.resolve(found);
+    }
+
+    return new Promise(function(resolve, reject) {
+      const timer = setTimeout(function() {
+        _this.removeListener('messageSent', onSent);
+        reject(new Error(`Simulator: Timeout waiting for ${key} message`));
+      }, timeout);
+
+      function onSent(message) {
+        if (key in message && matches(message[key], expected)) {
+          clearTimeout(timer);
+          _this.removeListener('messageSent', onSent);
+          resolve(message);
+        }
+      }
+
+      _this.on('messageSent', onSent);
+    });
+  }
+
+  // Handler for every publish made by the Interface
+  _onPublish(topic, payload) {
+    let message;
+
+    try {
+      message = JSON.parse(payload);
+    } catch (err) {
+      logger.errorStack(err, 'Simulator: Invalid payload on %s:', topic);
+      return;
+    }
+
+    const service = topic === `${this.stage}/ns` ?
+      'ns' : topic.split('/').slice(1).join('/');
+
+    this.sent.push({ topic: topic, service: service, message: message });
+    this.emit('messageSent', message, service);
+
+    // PGC does not answer the messages sent to ISY (uploadProfile...)
+    if (service === 'ns') {
+      this._respond(message);
+    }
+  }
+
+  // Node address as seen by ISY (n001_node003)
+  _isyAddress(address) {
+    return 'n' + ('' + this.profileNum).padStart(3, '0') + '_' + address;
+  }
+
+  // Mimics what PGC does with the messages it receives.
+  // The updated config is sent before the results, so that the interface
+  // knows about a node once addNode() resolves.
+  _respond(message) {
+    const _this = this;
+    const results = [];
+    let configChanged = false;
+
+    Object.keys(message).forEach(function(key) {
+      const content = message[key];
+
+      switch (key) {
+        case 'addnode':
+          _this.config.nodes[content.address] = {
+            address: content.address,
+            name: content.name,
+            nodedefid: content.nodedefid,
+            primary: content.primary,
+            isprimary: content.primary === content.address,
+            controller: !!content.isController,
+            drivers: content.drivers,
+            enabled: true,
+            added: true,
+            timeAdded: '' + Date.now(),
+          };
+          configChanged = true;
+
+          if (_this.autoResult) {
+            results.push({ result: { addnode: {
+              success: true,
+              reason: `AddNode: ${_this._isyAddress(content.address)} ` +
+                'added to database successfully.',
+              address: content.address,
+            }}});
+          }
+          break;
+
+        case 'removenode':
+          delete _this.config.nodes[content.address];
+          configChanged = true;
+
+          if (_this.autoResult) {
+            results.push({ result: { removenode: {
+              success: true,
+              reason: `RemoveNode: ${_this._isyAddress(content.address)} ` +
+                'removed successfully.',
+              address: content.address,
+            }}});
+          }
+          break;
+
+        case 'status':
+          if (_this.autoResult) {
+            _this._respondStatus(content);
+          }
+          break;
+
+        case 'customparams':
+          _this.config.customParams = content;
+          configChanged = true;
+          break;
+
+        case 'typedparams':
+          _this.config.typedParams = content;
+          break;
+
+        case 'customdata':
+          _this.config.customData = content;
+          configChanged = true;
+          break;
+
+        case 'notices':
+          _this.config.notices = content;
+          configChanged = true;
+          break;
+      }
+    });
+
+    if (configChanged && this.autoConfig) {
+      this._respondLater({ config: this.config });
+    }
+
+    results.forEach(function(result) {
+      _this._respondLater(result);
+    });
+  }
+
+  // Answers a driver update like ISY does: 404 if node or driver is unknown
+  _respondStatus(status) {
+    const node = this.config.nodes[status.address];
+    const isyAddress = this._isyAddress(status.address);
+    const exists = node && node.drivers && status.driver in node.drivers;
+
+    if (exists) {
+      node.drivers[status.driver].value = status.value;
+      node.drivers[status.driver].uom = status.uom;
+    }
+
+    this._respondLater({ result: {
+      isyresponse: '',
+      statusCode: exists ? 200 : 404,
+      seq: false,
+      elapsed: '1ms',
+      status: {
+        success: !!exists,
+        reason: exists ?
+          `${isyAddress} ${status.driver} set to ${status.value}` :
+          `${isyAddress} or ${status.driver} does not exist - ` +
+          'ISY returned 404',
+        address: isyAddress,
+      },
+    }});
+  }
+
+  _respondLater(message) {
+    const _this = this;
+    this._pendingResponses++;
+
+    setImmediate(function() {
+      _this._pendingResponses--;
+
+      if (_this.transport.connected) {
+        _this.send(JSON.parse(JSON.stringify(message)));
+      }
+    });
+  }
+};
+
+// Checks if a message content matches a partial object, or a function
+function matches(content, expected) {
+  if (expected === null) {
+    return true;
+  }
+
+  if (typeof expected === 'function') {
+    return expected(content);
+  }
+
+  if (typeof expected !== 'object' || typeof content !== 'object' ||
+    content === null) {
+    return content === expected;
+  }
+
+  return Object.keys(expected).every(function(key) {
+    return matches(content[key], expected[key]);
+  });
+}
+
+module.exports.SimulatorTransport = SimulatorTransport;
@@ -0,0 +1,39 @@
+// Transport used by the Interface to talk to Polyglot
+
+'use strict';
+
+const events = require('events');
+
+// Base class for all transports. A transport must emit these events:
+// connect, reconnect, offline, close, end, error and message(topic, payload)
+module.exports = class Transport extends events.EventEmitter {
+  constructor(options = {}) {
+    super();
+    this._options = options;
+  }
+
+  // Starts connecting. The connect event is emitted once connected.
+  connect() {
+    throw new Error('Transport: connect() is not implemented');
+  }
+
+  // Returns true if the transport is connected
+  isConnected() {
+    throw new Error('Transport: isConnected() is not implemented');
+  }
+
+  subscribe(topic) {
+    throw new Error('Transport: subscribe() is not implemented');
+  }
+
+  // Resolves when the message has been sent.
+  // options: { qos } With qos 1, resolves when the broker acknowledged it.
+  async publish(topic, payload, options = {}) {
+    throw new Error('Transport: publish() is not implemented');
+  }
+
+  // Ends the connection. Resolves once closed.
+  async end() {
+    throw new Error('Transport: end() is not implemented');
+  }
+};
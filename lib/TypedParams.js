@@ -0,0 +1,197 @@
+'use strict';
+
+// Typed custom parameters. The schema is a list of params:
+// {
+//   name: 'host', // Key in customParams
+//   title: 'Host name', // Shown in the UI
+//   desc: 'Host name or IP address',
+//   type: 'STRING', // STRING, NUMBER, BOOLEAN, ENUM or GROUP
+//   options: ['a', 'b'], // Valid values of an ENUM
+//   isRequired: true,
+//   isList: false, // Value is a list of values of this type
+//   defaultValue: 'localhost',
+//   params: [], // Params of a GROUP (Same format, can be nested)
+// }
+// The values in customParams are strings. Lists and groups are JSON strings.
+
+const types = ['STRING', 'NUMBER', 'BOOLEAN', 'ENUM', 'GROUP'];
+
+module.exports = class TypedParams {
+  constructor(schema) {
+    const errors = TypedParams.validateSchema(schema);
+
+    if (errors.length) {
+      throw new Error('Invalid typed params: ' + errors.join('; '));
+    }
+
+    this.schema = schema;
+  }
+
+  // Checks the schema. Returns a list of errors.
+  static validateSchema(schema, path = '') {
+    const errors = [];
+
+    if (!Array.isArray(schema)) {
+      return [`${path || 'schema'} must be an array of params`];
+    }
+
+    schema.forEach(function(param, i) {
+      const where = path + (param && param.name ? param.name : `[${i}]`);
+
+      if (!param || typeof param !== 'object') {
+        errors.push(`${where} must be an object`);
+        return;
+      }
+
+      if (!param.name || typeof param.name !== 'string') {
+        errors.push(`${where} has no name`);
+      }
+
+      const type = (param.type || 'STRING').toUpperCase();
+
+      if (!types.includes(type)) {
+        errors.push(`${where} has an invalid type ${param.type}`);
+      }
+
+      if (type === 'ENUM' &&
+        (!Array.isArray(param.options) || !param.options.length)) {
+        errors.push(`${where} is an ENUM without options`);
+      }
+
+      if (type === 'GROUP') {
+        errors.push.apply(errors,
+          TypedParams.validateSchema(param.params, where + '.'));
+      }
+    });
+
+    return errors;
+  }
+
+  // Parses and validates customParams against the schema.
+  // Returns { values, errors } where values are typed, with defaults
+  // applied, and errors is a list of { name, error }
+  parse(customParams) {
+    const errors = [];
+    const values = parseParams(this.schema, customParams || {}, '', errors);
+
+    return { values: values, errors: errors };
+  }
+};
+
+function parseParams(schema, raw, path, errors) {
+  const values = {};
+
+  schema.forEach(function(param) {
+    const name = path + param.name;
+    const result = parseParam(param, raw[param.name], name, errors);
+
+    if (result !== undefined) {
+      values[param.name] = result;
+    }
+  });
+
+  return values;
+}
+
+function isEmpty(raw) {
+  return raw === undefined || raw === null ||
+    (typeof raw === 'string' && !raw.trim().length);
+}
+
+// Returns the parsed value, or undefined if it is missing or invalid.
+function parseParam(param, raw, name, errors) {
+  if (isEmpty(raw)) {
+    if (param.defaultValue !== undefined) {
+      return param.defaultValue;
+    }
+
+    if (param.isRequired) {
+      errors.push({ name: name, error: 'is required' });
+    }
+
+    return undefined;
+  }
+
+  if (param.isList) {
+    let list = raw;
+
+    if (typeof raw === 'string') {
+      try {
+        list = JSON.parse(raw);
+      } catch (err) {
+        // Comma separated values are accepted for simple types
+        list = raw.split(',').map(function(value) {
+          return value.trim();
+        });
+      }
+    }
+
+    if (!Array.isArray(list)) {
+      errors.push({ name: name, error: 'is not a list' });
+      return undefined;
+    }
+
+    return list.map(function(value, i) {
+      return parseValue(param, value, `${name}[${i}]`, errors);
+    });
+  }
+
+  return parseValue(param, raw, name, errors);
+}
+
+function parseValue(param, raw, name, errors) {
+  const type = (param.type || 'STRING').toUpperCase();
+
+  switch (type) {
+    case 'NUMBER':
+      const number = typeof raw === 'number' ? raw : Number(raw);
+      if (isEmpty(raw) || isNaN(number)) {
+        errors.push({ name: name, error: `${raw} is not a number` });
+        return undefined;
+      }
+      return number;
+
+    case 'BOOLEAN':
+      if (typeof raw === 'boolean') {
+        return raw;
+      }
+      if (['true', '1', 'yes', 'on'].includes(('' + raw).toLowerCase())) {
+        return true;
+      }
+      if (['false', '0', 'no', 'off'].includes(('' + raw).toLowerCase())) {
+        return false;
+      }
+      errors.push({ name: name, error: `${raw} is not a boolean` });
+      return undefined;
+
+    case 'ENUM':
+      if (!param.options.map(String).includes('' + raw)) {
+        errors.push({
+          name: name,
+          error: `${raw} is not one of ${param.options.join(', ')}`,
+        });
+        return undefined;
+      }
+      return param.options.find(function(option) {
+        return '' + option === '' + raw;
+      });
+
+    case 'GROUP':
+      let group = raw;
+      if (typeof raw === 'string') {
+        try {
+          group = JSON.parse(raw);
+        } catch (err) {
+          group = null;
+        }
+      }
+      if (!group || typeof group !== 'object' || Array.isArray(group)) {
+        errors.push({ name: name, error: 'is not a valid group' });
+        return undefined;
+      }
+      return parseParams(param.params, group, name + '.', errors);
+
+    default:
+      return '' + raw;
+  }
+}
@@ -0,0 +1,203 @@
+'use strict';
+
+const uomRegistry = require('./uom.js');
+
+// Parses and validates the parameters of the commands received from ISY.
+//
+// Parameters definitions are keyed by parameter id. 'value' is the main value
+// of the command (message.value, message.uom). Other parameters are in
+// message.query, with keys like 'SPEED.uom51'.
+// {
+//   value: {
+//     type: 'number', // number (default), boolean, string or enum
+//     uom: 51, // Values received in another compatible uom are converted
+//     min: 0, max: 100, prec: 0, // Valid range, and decimals
+//     options: [0, 1, 2], // Valid values
+//     required: true,
+//     defaultValue: 100, // Used if the parameter is missing
+//   },
+// }
+
+const types = ['number', 'boolean', 'string', 'enum'];
+
+// Returns the raw value and uom of a parameter, or null if missing
+function findRaw(id, message) {
+  const query = message.query || {};
+
+  if (id === 'value') {
+    return message.value === undefined || message.value === null ||
+      message.value === '' ? null :
+      { value: message.value, uom: message.uom };
+  }
+
+  const key = Object.keys(query).find(function(k) {
+    return k === id || k.startsWith(id + '.uom');
+  });
+
+  if (key === undefined) {
+    return null;
+  }
+
+  return {
+    value: query[key],
+    uom: key.includes('.uom') ? key.split('.uom')[1] : null,
+  };
+}
+
+// Returns { value, error }
+function parseValue(definition, raw) {
+  const type = (definition.type || 'number').toLowerCase();
+  let value = raw.value;
+
+  if (!types.includes(type)) {
+    return { value: null, error: `invalid type ${definition.type}` };
+  }
+
+  if (type === 'string') {
+    return { value: '' + value, error: null };
+  }
+
+  if (type === 'boolean') {
+    if (['1', 'true', 'on'].includes(('' + value).toLowerCase())) {
+      return { value: true, error: null };
+    }
+    if (['0', 'false', 'off'].includes(('' + value).toLowerCase())) {
+      return { value: false, error: null };
+    }
+    return { value: null, error: `${value} is not a boolean` };
+  }
+
+  if (type === 'number') {
+    value = typeof value === 'number' ? value : parseFloat(value);
+
+    if (isNaN(value)) {
+      return { value: null, error: `${raw.value} is not a number` };
+    }
+
+    if (raw.uom && definition.uom !== undefined) {
+      const converted = uomRegistry.convert(value, raw.uom, definition.uom);
+
+      if (converted === null) {
+        return {
+          value: null,
+          error: `uom ${raw.uom} cannot be converted to uom ${definition.uom}`,
+        };
+      }
+      value = converted;
+    }
+
+    const checked = uomRegistry.validate(value, definition.uom, definition);
+    if (checked.error) {
+      return { value: null, error: checked.error };
+    }
+    value = checked.value;
+  }
+
+  // Enums, or numbers limited to a list of values
+  if (definition.options) {
+    const option = definition.options.find(function(o) {
+      return '' + o === '' + value;
+    });
+
+    if (option === undefined) {
+      return {
+        value: null,
+        error: `${raw.value} is not one of ${definition.options.join(', ')}`,
+      };
+    }
+
+    value = option;
+  }
+
+  return { value: value, error: null };
+}
+
+// Parses the parameters of a command message.
+// Returns { params, errors } where params are keyed by id, and errors is a
+// list of strings.
+function parse(definitions, message) {
+  const params = {};
+  const errors = [];
+
+  Object.keys(definitions || {}).forEach(function(id) {
+    const definition = definitions[id] || {};
+    const raw = findRaw(id, message);
+
+    if (!raw) {
+      if (definition.defaultValue !== undefined) {
+        params[id] = definition.defaultValue;
+      } else if (definition.required) {
+        errors.push(`Parameter ${id} is required`);
+      }
+      return;
+    }
+
+    const result = parseValue(definition, raw);
+
+    if (result.error) {
+      errors.push(`Parameter ${id}: ${result.error}`);
+    } else {
+      params[id] = result.value;
+    }
+  });
+
+  return { params: params, errors: errors };
+}
+
+// Values of an editor subset, like '0-3,5' or '-10-10'. Invalid parts are
+// ignored.
+function parseSubset(subset) {
+  const values = [];
+
+  subset.split(',').forEach(function(part) {
+    // A value or a range, with optional signs: 5, 0-10, -10--5, -10-10
+    const match = /^\s*(-?\d+)\s*(?:-\s*(-?\d+)\s*)?$/.exec(part);
+
+    if (!match) {
+      return;
+    }
+
+    const first = parseInt(match[1], 10);
+    const last = match[2] !== undefined ? parseInt(match[2], 10) : first;
+
+    for (let value = first; value <= last; value++) {
+      values.push(value);
+    }
+  });
+
+  return values;
+}
+
+// Definitions of the parameters of a nodedef command, using the editors
+function fromNodeDef(command, profile) {
+  const definitions = {};
+
+  command.params.forEach(function(p) {
+    const editor = profile.getEditor(p.editor);
+    const range = editor && editor.ranges.length ? editor.ranges[0] : {};
+    const definition = { required: p.optional !== 'T' };
+
+    if (range.uom !== undefined) {
+      definition.uom = parseInt(range.uom, 10);
+    }
+
+    ['min', 'max', 'prec'].forEach(function(prop) {
+      if (range[prop] !== undefined) {
+        definition[prop] = parseFloat(range[prop]);
+      }
+    });
+
+    if (range.subset) {
+      definition.options = parseSubset(range.subset);
+    }
+
+    definitions[p.id || 'value'] = definition;
+  });
+
+  return definitions;
+}
+
+module.exports = {
+  parse: parse,
+  fromNodeDef: fromNodeDef,
+};
@@ -0,0 +1,87 @@
+'use strict';
+
+// Compares the configs received from Polyglot
+
+// Node properties compared to detect changed nodes. Drivers are not
+// compared, as their values change all the time.
+const nodeProperties = [
+  'name', 'nodedefid', 'primary', 'isprimary', 'controller', 'enabled',
+  'added',
+];
+
+function isEqual(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Returns { added: { key: value }, removed: { key: oldValue },
+//   changed: { key: { oldValue, newValue } }, hasChanges }
+function diffObjects(oldObj, newObj) {
+  oldObj = oldObj || {};
+  newObj = newObj || {};
+
+  const diff = { added: {}, removed: {}, changed: {}, hasChanges: false };
+
+  Object.keys(newObj).forEach(function(key) {
+    if (!(key in oldObj)) {
+      diff.added[key] = newObj[key];
+      diff.hasChanges = true;
+    } else if (!isEqual(oldObj[key], newObj[key])) {
+      diff.changed[key] = { oldValue: oldObj[key], newValue: newObj[key] };
+      diff.hasChanges = true;
+    }
+  });
+
+  Object.keys(oldObj).forEach(function(key) {
+    if (!(key in newObj)) {
+      diff.removed[key] = oldObj[key];
+      diff.hasChanges = true;
+    }
+  });
+
+  return diff;
+}
+
+function pick(obj, keys) {
+  const picked = {};
+
+  keys.forEach(function(key) {
+    if (obj && obj[key] !== undefined) {
+      picked[key] = obj[key];
+    }
+  });
+
+  return picked;
+}
+
+// Config nodes, with only the properties we compare
+function nodesSummary(nodes) {
+  const summary = {};
+
+  Object.keys(nodes || {}).forEach(function(address) {
+    summary[address] = pick(nodes[address], nodeProperties);
+  });
+
+  return summary;
+}
+
+// Returns the diff of each part of the config:
+// { customParams, customData, notices, polls, nodes }
+function diffConfigs(oldConfig, newConfig) {
+  oldConfig = oldConfig || {};
+  newConfig = newConfig || {};
+
+  return {
+    customParams: diffObjects(oldConfig.customParams, newConfig.customParams),
+    customData: diffObjects(oldConfig.customData, newConfig.customData),
+    notices: diffObjects(oldConfig.notices, newConfig.notices),
+    polls: diffObjects(pick(oldConfig, ['shortPoll', 'longPoll']),
+      pick(newConfig, ['shortPoll', 'longPoll'])),
+    nodes: diffObjects(nodesSummary(oldConfig.nodes),
+      nodesSummary(newConfig.nodes)),
+  };
+}
+
+module.exports = {
+  diffObjects: diffObjects,
+  diffConfigs: diffConfigs,
+};
@@ -0,0 +1,117 @@
+'use strict';
+
+// Minimal cron expressions parser: 'minute hour dayOfMonth month dayOfWeek'
+// Each field supports *, numbers, ranges (1-5), lists (1,3,5) and steps
+// (*/15 or 0-30/10). Day of week is 0-7 (0 and 7 are sunday).
+// Times are in local time.
+
+const ranges = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 },
+];
+
+// Returns the set of values of a field. Throws an error if invalid.
+function parseField(field, range) {
+  const values = new Set();
+
+  field.split(',').forEach(function(part) {
+    const stepParts = part.split('/');
+    const step = stepParts.length > 1 ? parseInt(stepParts[1], 10) : 1;
+    let min = range.min;
+    let max = range.max;
+
+    if (stepParts.length > 2 || !(step > 0)) {
+      throw new Error(`Invalid ${range.name} ${part}`);
+    }
+
+    if (stepParts[0] !== '*') {
+      const bounds = stepParts[0].split('-').map(function(value) {
+        return /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+      });
+
+      min = bounds[0];
+      max = bounds.length > 1 ? bounds[1] : (stepParts.length > 1 ?
+        range.max : bounds[0]);
+
+      if (bounds.length > 2 || isNaN(min) || isNaN(max) ||
+        min < range.min || max > range.max || min > max) {
+        throw new Error(`Invalid ${range.name} ${part}`);
+      }
+    }
+
+    for (let value = min; value <= max; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+// Parses an expression. Throws an error if it is invalid.
+function parse(expression) {
+  const fields = typeof expression === 'string' ?
+    expression.trim().split(/\s+/) : [];
+
+  if (fields.length !== 5) {
+    throw new Error(`Invalid cron expression ${expression}: 5 fields expected`);
+  }
+
+  const parsed = {};
+
+  ranges.forEach(function(range, i) {
+    parsed[range.name] = parseField(fields[i], range);
+  });
+
+  // 7 is also sunday
+  if (parsed.dayOfWeek.has(7)) {
+    parsed.dayOfWeek.add(0);
+  }
+
+  // Like cron, if both days are restricted, either can match
+  parsed.anyDay = fields[2] !== '*' && fields[4] !== '*';
+
+  return parsed;
+}
+
+function dayMatches(parsed, date) {
+  const dayOfMonth = parsed.dayOfMonth.has(date.getDate());
+  const dayOfWeek = parsed.dayOfWeek.has(date.getDay());
+
+  return parsed.anyDay ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek;
+}
+
+// Returns the next date matching the parsed expression after from, or null
+// if there is none within 5 years (e.g. 30th of february).
+function next(parsed, from = new Date()) {
+  const date = new Date(from.getTime());
+  const limit = from.getTime() + 5 * 366 * 24 * 3600 * 1000;
+
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  while (date.getTime() < limit) {
+    if (!parsed.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(parsed, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!parsed.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!parsed.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  parse: parse,
+  next: next,
+};
@@ -0,0 +1,105 @@
+'use strict';
+
+// Generates Node class skeletons from the nodedefs of the profile
+
+// Class name for a nodedef id. Example: MY_LIGHT -> MyLightNode
+function className(nodeDefId) {
+  return nodeDefId.split(/[^A-Za-z0-9]+/)
+  .filter(function(part) {
+    return part.length;
+  })
+  .map(function(part) {
+    return part[0].toUpperCase() + part.slice(1).toLowerCase();
+  })
+  .join('') + 'Node';
+}
+
+// Returns the source code of a Node class for this nodedef
+function generateNodeClass(nodeDef, profile, moduleName = 'pgc_interface') {
+  const nls = profile.nls;
+  const name = nls[`ND-${nodeDef.id}-NAME`];
+  const lines = [];
+
+  const driverLines = Object.keys(nodeDef.sts).map(function(driver) {
+    const editor = profile.getEditor(nodeDef.sts[driver].editor);
+    const range = editor && editor.ranges.length ? editor.ranges[0] : {};
+    const value = range.min !== undefined ? parseFloat(range.min) : 0;
+    const uom = range.uom !== undefined ? parseInt(range.uom, 10) : 0;
+    const driverName = nls[`ST-${nodeDef.nls}-${driver}-NAME`];
+
+    return `      ${driver}: { value: ${value}, uom: ${uom} },` +
+      (driverName ? ` // ${driverName}` : '');
+  });
+
+  const commands = Object.keys(nodeDef.accepts);
+  const commandLines = commands.map(function(cmd) {
+    return cmd === 'QUERY' ?
+      `      ${cmd}: this.query,` :
+      `      ${cmd}: this.on${cmd},`;
+  });
+
+  lines.push(
+    '\'use strict\';',
+    '',
+    `const Polyglot = require('${moduleName}');`,
+    'const logger = Polyglot.logger;',
+    '',
+    `// Generated from nodedef ${nodeDef.id}` + (name ? ` (${name})` : ''),
+    `const nodeDefId = '${nodeDef.id}';`,
+    '',
+    `module.exports = class ${className(nodeDef.id)} ` +
+      'extends Polyglot.Node {',
+    '  constructor(polyInterface, primary, address, name) {',
+    '    super(nodeDefId, polyInterface, primary, address, name);',
+    '',
+    '    this.commands = {');
+  lines.push.apply(lines, commandLines);
+  lines.push(
+    '    };',
+    '',
+    '    this.drivers = {');
+  lines.push.apply(lines, driverLines);
+  lines.push(
+    '    };',
+    '  }');
+
+  commands.filter(function(cmd) {
+    return cmd !== 'QUERY';
+  })
+  .forEach(function(cmd) {
+    const cmdName = nls[`CMD-${nodeDef.nls}-${cmd}-NAME`];
+    lines.push(
+      '',
+      `  // ${cmdName || cmd}`,
+      `  on${cmd}(message) {`,
+      `    logger.info('${cmd} (%s): %o', this.address, message);`,
+      '  }');
+  });
+
+  lines.push(
+    '};',
+    '',
+    '// Required so that the interface can find this class using the nodeDefId',
+    'module.exports.nodeDefId = nodeDefId;',
+    '');
+
+  return lines.join('\n');
+}
+
+// Returns { filename: source } for all nodedefs of the profile
+function generateNodeClasses(profile, moduleName) {
+  const files = {};
+
+  Object.keys(profile.nodeDefs).forEach(function(id) {
+    files[className(id) + '.js'] =
+      generateNodeClass(profile.nodeDefs[id], profile, moduleName);
+  });
+
+  return files;
+}
+
+module.exports = {
+  className: className,
+  generateNodeClass: generateNodeClass,
+  generateNodeClasses: generateNodeClasses,
+};
@@ -6,11 +6,79 @@ const winston = require('winston'); // Logging framework
 // require('winston-daily-rotate-file');
 const format = winston.format;
 
+const levels = winston.config.npm.levels;
+const defaultLevel = 'debug';
+
+// Level of all the loggers, and levels by label (See setLevel())
+let globalLevel = defaultLevel;
+let labelLevels = {};
+
+// Labels shown: { include: [labels], exclude: [labels] } (See setFilter())
+let labelFilter = null;
+
 function zPad2(str) {
   return str.toString().padStart(2, '0');
 }
 
+// Sets the label of the entry. Child loggers add their label to the label of
+// their parent (NS:node003)
+const labelFormat = format(function(info, opts) {
+  info.label = info.childLabel ? opts.label + ':' + info.childLabel :
+    opts.label;
+  delete info.childLabel;
+  return info;
+});
+
+// True if label is the label, or one of its parents (NS matches NS:node003)
+function labelMatches(label, pattern) {
+  return label === pattern || label.startsWith(pattern + ':');
+}
+
+// Level for a label: The level of the most specific label set, or the global
+// level.
+function getLevel(label = null) {
+  let current = label;
+
+  while (current) {
+    if (labelLevels[current]) {
+      return labelLevels[current];
+    }
+
+    current = current.includes(':') ?
+      current.slice(0, current.lastIndexOf(':')) : null;
+  }
+
+  return globalLevel;
+}
+
+// Drops the entries below the level of their label, or filtered out
+const filterFormat = format(function(info) {
+  const label = info.label || '';
+
+  if (levels[info.level] > levels[getLevel(label)]) {
+    return false;
+  }
+
+  if (labelFilter) {
+    if (labelFilter.include && labelFilter.include.length &&
+      !labelFilter.include.some(function(pattern) {
+        return labelMatches(label, pattern);
+      })) {
+      return false;
+    }
+
+    if (labelFilter.exclude && labelFilter.exclude.some(function(pattern) {
+      return labelMatches(label, pattern);
+    })) {
+      return false;
+    }
+  }
+
+  return info;
+});
+
 const logFormatter = format.combine(
+  filterFormat(),
   format.splat(),
   format.timestamp(),
   winston.format.printf(info => {
@@ -57,9 +125,10 @@ const logFormatter = format.combine(
 //   format: jsonlogFormatter,
 // });
 
+// Levels are filtered by filterFormat
 const consoleTransport = new (winston.transports.Console)({
   handleExceptions: true,
-  level: 'debug',
+  level: 'silly',
   format: logFormatter,
 });
 
@@ -72,14 +141,14 @@ let transports = [ consoleTransport ];
 
 // PGC interface specific logger
 winston.loggers.add('pgc', {
-  format: format.label({label: 'PGC'}),
+  format: labelFormat({label: 'PGC'}),
   exitOnError: true,
   transports: transports,
 });
 
 // Custom node server specific logger. Will have NS: in the messages
 winston.loggers.add('ns', {
-  format: format.label({label: 'NS'}),
+  format: labelFormat({label: 'NS'}),
   exitOnError: true,
   transports: transports,
 });
@@ -98,6 +167,77 @@ function errorStack(err) {
   module.exports.error.apply(this, loggerArgs);
 };
 
+// Returns the name of a level name ('debug') or number (5), or null
+function levelName(level) {
+  if (typeof level === 'string' && level in levels) {
+    return level;
+  }
+
+  return Object.keys(levels).find(function(name) {
+    return levels[name] === parseInt(level, 10);
+  }) || null;
+}
+
+// Sets the level of all the loggers, or of the loggers with this label and
+// their children (PGC, NS, NS:node003). level is a name ('debug') or a number
+// (0=error, 1=warn, 2=info, 3=http, 4=verbose, 5=debug, 6=silly).
+// A null level removes the level of the label. Returns the level name.
+function setLevel(level, label = null) {
+  if (label && (level === null || level === undefined)) {
+    delete labelLevels[label];
+    return null;
+  }
+
+  const name = levelName(level);
+
+  if (!name) {
+    throw new Error(`Invalid log level ${level}`);
+  }
+
+  if (label) {
+    labelLevels[label] = name;
+  } else {
+    globalLevel = name;
+  }
+
+  return name;
+}
+
+// Removes the levels by label, and sets the global level back to default
+function resetLevels() {
+  globalLevel = defaultLevel;
+  labelLevels = {};
+}
+
+// Shows only the entries of the included labels (and their children), and
+// hides the entries of the excluded labels. null to show everything.
+// Example: { include: ['NS'], exclude: ['NS:node003'] }
+function setFilter(filter) {
+  labelFilter = filter;
+}
+
+// child() of the winston loggers
+const winstonChild = winston.loggers.get('pgc').child;
+
+// Returns a logger which adds label to the label of this logger.
+// Example: logger.ns.child('node003') logs with the label NS:node003
+// Options objects are passed to the winston child() (default metadata).
+function child(label) {
+  if (typeof label !== 'string') {
+    return winstonChild.call(this, label);
+  }
+
+  const root = this.root || this;
+  const childLabel = this.childLabel ? this.childLabel + ':' + label : label;
+  const childLogger = winstonChild.call(root,
+    { childLabel: childLabel });
+
+  childLogger.root = root;
+  childLogger.childLabel = childLabel;
+
+  return childLogger;
+}
+
 // --------
 // EXPORTS
 // --------
@@ -109,6 +249,14 @@ module.exports.errorStack = errorStack;
 module.exports.ns = winston.loggers.get('ns');
 module.exports.ns.errorStack = errorStack;
 
+[module.exports, module.exports.ns].forEach(function(logger) {
+  logger.child = child;
+  logger.setLevel = setLevel;
+  logger.getLevel = getLevel;
+  logger.resetLevels = resetLevels;
+  logger.setFilter = setFilter;
+});
+
 // Usage: logger.errorStack(err, 'whatever %s:', variable)
 module.exports.errorStack = function(err) {
   // Remove first argument
@@ -0,0 +1,180 @@
+'use strict';
+
+// Registry of the ISY units of measure (uom), used to validate driver values
+// and convert them between compatible units.
+// min/max: valid range. integer: value is rounded to an integer.
+// group: units of the same group can be converted using toBase/fromBase.
+
+const temperature = 'temperature';
+const energy = 'energy';
+const power = 'power';
+const speed = 'speed';
+const pressure = 'pressure';
+
+const uoms = {
+  1: { name: 'ampere' },
+  2: { name: 'boolean', min: 0, max: 1, integer: true },
+  4: {
+    name: '°C',
+    min: -273.15,
+    group: temperature,
+    toBase: function(v) { return v + 273.15; },
+    fromBase: function(v) { return v - 273.15; },
+  },
+  17: {
+    name: '°F',
+    min: -459.67,
+    group: temperature,
+    toBase: function(v) { return (v - 32) * 5 / 9 + 273.15; },
+    fromBase: function(v) { return (v - 273.15) * 9 / 5 + 32; },
+  },
+  22: { name: 'relative humidity', min: 0, max: 100 },
+  23: {
+    name: 'inHg',
+    min: 0,
+    group: pressure,
+    toBase: function(v) { return v * 3.386389; },
+    fromBase: function(v) { return v / 3.386389; },
+  },
+  25: { name: 'index', integer: true },
+  26: {
+    name: 'kelvin',
+    min: 0,
+    group: temperature,
+    toBase: function(v) { return v; },
+    fromBase: function(v) { return v; },
+  },
+  30: {
+    name: 'kW',
+    group: power,
+    toBase: function(v) { return v * 1000; },
+    fromBase: function(v) { return v / 1000; },
+  },
+  31: {
+    name: 'kPa',
+    min: 0,
+    group: pressure,
+    toBase: function(v) { return v; },
+    fromBase: function(v) { return v; },
+  },
+  32: {
+    name: 'km/h',
+    min: 0,
+    group: speed,
+    toBase: function(v) { return v; },
+    fromBase: function(v) { return v; },
+  },
+  33: {
+    name: 'kWh',
+    group: energy,
+    toBase: function(v) { return v * 1000; },
+    fromBase: function(v) { return v / 1000; },
+  },
+  36: { name: 'lux', min: 0 },
+  48: {
+    name: 'mph',
+    min: 0,
+    group: speed,
+    toBase: function(v) { return v * 1.609344; },
+    fromBase: function(v) { return v / 1.609344; },
+  },
+  51: { name: 'percent', min: 0, max: 100 },
+  56: { name: 'raw value' },
+  72: { name: 'volt' },
+  73: {
+    name: 'watt',
+    group: power,
+    toBase: function(v) { return v; },
+    fromBase: function(v) { return v; },
+  },
+  78: { name: '0-Off 100-On', min: 0, max: 100 },
+  100: { name: 'level 0-255', min: 0, max: 255, integer: true },
+  119: {
+    name: 'Wh',
+    group: energy,
+    toBase: function(v) { return v; },
+    fromBase: function(v) { return v; },
+  },
+};
+
+// Returns the definition of a uom, or null if unknown
+function get(uom) {
+  return uoms[uom] || null;
+}
+
+// Adds or replaces a uom definition
+function register(uom, definition) {
+  uoms[uom] = definition;
+}
+
+function canConvert(fromUom, toUom) {
+  const from = get(fromUom);
+  const to = get(toUom);
+
+  return !!from && !!to && !!from.group && from.group === to.group;
+}
+
+// Decimals kept by convert(), to drop the floating point errors
+// (21.3°C is 70.34°F, not 70.34000000000002°F)
+const convertPrec = 6;
+
+// Converts value from fromUom to toUom. Returns null if not convertible.
+function convert(value, fromUom, toUom) {
+  if (parseInt(fromUom, 10) === parseInt(toUom, 10)) {
+    return value;
+  }
+
+  if (!canConvert(fromUom, toUom)) {
+    return null;
+  }
+
+  const factor = Math.pow(10, convertPrec);
+  const converted = get(toUom).fromBase(get(fromUom).toBase(value));
+
+  return Math.round(converted * factor) / factor;
+}
+
+// Validates a numeric value for a uom.
+// limits: { min, max, prec, clamp } override the uom range. prec is the
+// number of decimals. Out of range values are clamped if clamp is true.
+// Returns { value, error, clamped }. error is null if the value is valid.
+function validate(value, uom, limits = {}) {
+  const definition = get(uom) || {};
+  const min = limits.min !== undefined ? limits.min : definition.min;
+  const max = limits.max !== undefined ? limits.max : definition.max;
+  const result = { value: value, error: null, clamped: false };
+
+  if (typeof value !== 'number' || !isFinite(value)) {
+    result.error = `${value} is not a valid number`;
+    return result;
+  }
+
+  if (limits.prec !== undefined) {
+    const factor = Math.pow(10, limits.prec);
+    result.value = Math.round(value * factor) / factor;
+  } else if (definition.integer) {
+    result.value = Math.round(value);
+  }
+
+  if ((min !== undefined && result.value < min) ||
+    (max !== undefined && result.value > max)) {
+    if (limits.clamp) {
+      result.value = Math.min(max !== undefined ? max : Infinity,
+        Math.max(min !== undefined ? min : -Infinity, result.value));
+      result.clamped = true;
+    } else {
+      result.error = `${value} is out of range [${min !== undefined ?
+        min : '-∞'}, ${max !== undefined ? max : '∞'}]`;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  get: get,
+  register: register,
+  canConvert: canConvert,
+  convert: convert,
+  validate: validate,
+};
@@ -0,0 +1,30 @@
+'use strict';
+
+// Runs fn(item) for all items, with at most concurrency running at once.
+// Resolves with the results in the same order as items. fn must not throw.
+async function mapConcurrent(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = [];
+  const count = Math.max(1, Math.min(concurrency || 1, items.length));
+
+  for (let i = 0; i < count; i++) {
+    workers.push(worker());
+  }
+
+  await Promise.all(workers);
+
+  return results;
+}
+
+module.exports = {
+  mapConcurrent: mapConcurrent,
+};
@@ -0,0 +1,146 @@
+'use strict';
+
+// Minimal XML parser, sufficient for the ISY profile files.
+// Returns the root element: { name, attributes, children, text }.
+// Throws an error with the line number if the XML is not well formed.
+
+const entities = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: '\'',
+};
+
+function decode(str) {
+  return str.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-z]+);/g,
+    function(match, entity) {
+      if (entity[0] === '#') {
+        return String.fromCharCode(entity[1] === 'x' ?
+          parseInt(entity.slice(2), 16) :
+          parseInt(entity.slice(1), 10));
+      }
+      return entity in entities ? entities[entity] : match;
+    });
+}
+
+function parse(xml) {
+  const root = { name: null, attributes: {}, children: [], text: '' };
+  const stack = [root];
+  let pos = 0;
+
+  const fail = function(message) {
+    const line = xml.slice(0, pos).split('\n').length;
+    throw new Error(`XML error line ${line}: ${message}`);
+  };
+
+  // Skips up to (and including) the terminator
+  const skipTo = function(terminator) {
+    const end = xml.indexOf(terminator, pos);
+    if (end === -1) {
+      fail(`Missing ${terminator}`);
+    }
+    const content = xml.slice(pos, end);
+    pos = end + terminator.length;
+    return content;
+  };
+
+  const attributeRe = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+
+  while (pos < xml.length) {
+    const current = stack[stack.length - 1];
+
+    if (xml[pos] !== '<') {
+      const next = xml.indexOf('<', pos);
+      const text = xml.slice(pos, next === -1 ? xml.length : next);
+      if (text.trim()) {
+        if (current === root) {
+          fail('Text outside of the root element');
+        }
+        current.text += decode(text);
+      }
+      pos = next === -1 ? xml.length : next;
+    } else if (xml.startsWith('<?', pos)) {
+      skipTo('?>');
+    } else if (xml.startsWith('<!--', pos)) {
+      skipTo('-->');
+    } else if (xml.startsWith('<![CDATA[', pos)) {
+      pos += 9;
+      current.text += skipTo(']]>');
+    } else if (xml.startsWith('<!', pos)) {
+      skipTo('>'); // DOCTYPE
+    } else if (xml.startsWith('</', pos)) {
+      pos += 2;
+      const name = skipTo('>').trim();
+      if (current.name !== name) {
+        fail(`Closing tag </${name}> does not match <${current.name}>`);
+      }
+      stack.pop();
+    } else {
+      pos++;
+      let tag = skipTo('>');
+      const selfClosing = tag.endsWith('/');
+      if (selfClosing) {
+        tag = tag.slice(0, -1);
+      }
+
+      const nameMatch = /^[^\s/>]+/.exec(tag);
+      if (!nameMatch) {
+        fail('Invalid tag');
+      }
+
+      const element = {
+        name: nameMatch[0],
+        attributes: {},
+        children: [],
+        text: '',
+      };
+
+      const attributes = tag.slice(nameMatch[0].length);
+      let match;
+      attributeRe.lastIndex = 0;
+      while ((match = attributeRe.exec(attributes)) !== null) {
+        element.attributes[match[1]] =
+          decode(match[3] !== undefined ? match[3] : match[4]);
+      }
+
+      if (current === root && root.children.length) {
+        fail('Multiple root elements');
+      }
+
+      current.children.push(element);
+
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    }
+  }
+
+  if (stack.length > 1) {
+    fail(`Missing closing tag for <${stack[stack.length - 1].name}>`);
+  }
+
+  if (!root.children.length) {
+    fail('No root element');
+  }
+
+  return root.children[0];
+}
+
+// Children of element with this name
+function children(element, name) {
+  return element ? element.children.filter(function(child) {
+    return child.name === name;
+  }) : [];
+}
+
+// First child of element with this name, or null
+function child(element, name) {
+  return children(element, name)[0] || null;
+}
+
+module.exports = {
+  parse: parse,
+  children: children,
+  child: child,
+};
@@ -0,0 +1,254 @@
+'use strict';
+
+const assert = require('assert');
+const Polyglot = require('..');
+const Queue = require('../lib/Queue.js');
+
+// A promise with its resolve function
+function deferred() {
+  let resolve;
+  const promise = new Promise(function(res) {
+    resolve = res;
+  });
+
+  promise.resolve = resolve;
+  return promise;
+}
+
+// Lets the queue start processing the items added
+function started() {
+  return new Promise(function(resolve) {
+    setImmediate(resolve);
+  });
+}
+
+function drained(queue) {
+  return new Promise(function(resolve) {
+    if (queue.isIdle()) {
+      resolve();
+    } else {
+      queue.once('drained', resolve);
+    }
+  });
+}
+
+describe('Queue', function() {
+  let processed;
+  let pending;
+
+  // Items are { name, key, priority }. Processing an item waits until
+  // pending[name].resolve() is called, if it exists.
+  function createQueue(options = {}) {
+    return new Queue(function(item) {
+      processed.push(item.name);
+      return pending[item.name];
+    }, null, 'test', Object.assign({
+      getKey: function(item) {
+        return item.key === undefined ? null : item.key;
+      },
+      getPriority: function(item) {
+        return item.priority || 0;
+      },
+    }, options));
+  }
+
+  beforeEach(function() {
+    processed = [];
+    pending = {};
+  });
+
+  it('processes items with the same key in order', async function() {
+    const queue = createQueue({ concurrency: 5 });
+    pending.a1 = deferred();
+
+    queue.add({ name: 'a1', key: 'a' });
+    queue.add({ name: 'a2', key: 'a' });
+    queue.add({ name: 'b1', key: 'b' });
+    await started();
+
+    // b1 runs in parallel with a1, a2 waits for a1
+    assert.deepStrictEqual(processed, ['a1', 'b1']);
+    assert.strictEqual(queue.length, 1);
+
+    pending.a1.resolve();
+    await drained(queue);
+
+    assert.deepStrictEqual(processed, ['a1', 'b1', 'a2']);
+  });
+
+  it('processes items without a key alone', async function() {
+    const queue = createQueue({ concurrency: 5 });
+    pending.a1 = deferred();
+
+    queue.add({ name: 'a1', key: 'a' });
+    queue.add({ name: 'config' });
+    queue.add({ name: 'b1', key: 'b' });
+    await started();
+
+    assert.deepStrictEqual(processed, ['a1']);
+
+    pending.a1.resolve();
+    await drained(queue);
+
+    assert.deepStrictEqual(processed, ['a1', 'config', 'b1']);
+  });
+
+  it('processes the items with a higher priority first', async function() {
+    const queue = createQueue();
+    pending.first = deferred();
+
+    queue.add({ name: 'first' });
+    queue.add({ name: 'low' });
+    queue.add({ name: 'high', priority: 10 });
+
+    pending.first.resolve();
+    await drained(queue);
+
+    assert.deepStrictEqual(processed, ['first', 'high', 'low']);
+  });
+
+  it('abandons the items which time out', async function() {
+    const queue = createQueue({ timeout: 20 });
+    let signal = null;
+    const timedOut = [];
+
+    queue.dataProcessor = function(item, abortSignal) {
+      processed.push(item.name);
+      if (item.name === 'hung') {
+        signal = abortSignal;
+        return new Promise(function() {});
+      }
+    };
+
+    queue.on('timeout', function(entry) {
+      timedOut.push(entry.item.name);
+    });
+
+    queue.add({ name: 'hung' });
+    queue.add({ name: 'next' });
+    await drained(queue);
+
+    assert.deepStrictEqual(processed, ['hung', 'next']);
+    assert.deepStrictEqual(timedOut, ['hung']);
+    assert.strictEqual(signal.aborted, true);
+  });
+
+  it('cancels waiting and running items', async function() {
+    const queue = createQueue();
+    const cancelled = [];
+    pending.running = deferred();
+
+    queue.on('cancelled', function(entry) {
+      cancelled.push(entry.item.name);
+    });
+
+    const running = queue.add({ name: 'running' });
+    const waiting = queue.add({ name: 'waiting' });
+    queue.add({ name: 'last' });
+
+    assert.strictEqual(queue.cancel(waiting), true);
+    assert.strictEqual(queue.cancel(running), true);
+    assert.strictEqual(queue.cancel(running), false);
+    await drained(queue);
+
+    assert.deepStrictEqual(cancelled, ['waiting', 'running']);
+    assert.deepStrictEqual(processed, ['running', 'last']);
+  });
+
+  it('drops the oldest item with the lowest priority', function() {
+    const queue = createQueue({ maxDepth: 2 });
+    const dropped = [];
+    pending.running = deferred();
+
+    queue.on('dropped', function(entry) {
+      dropped.push(entry.item.name);
+    });
+
+    queue.add({ name: 'running' });
+    queue.add({ name: 'high', priority: 10 });
+    queue.add({ name: 'low1' });
+    queue.add({ name: 'low2' });
+
+    assert.deepStrictEqual(dropped, ['low1']);
+    assert.strictEqual(queue.length, 2);
+  });
+
+  it('drops the new item with dropNewest', function() {
+    const queue = createQueue({ maxDepth: 1, overflow: 'dropNewest' });
+    pending.running = deferred();
+
+    queue.add({ name: 'running' });
+    assert.notStrictEqual(queue.add({ name: 'waiting' }), null);
+    assert.strictEqual(queue.add({ name: 'new' }), null);
+    assert.strictEqual(queue.length, 1);
+  });
+});
+
+describe('Interface queue', function() {
+  let sim;
+  let poly;
+  let release;
+
+  class TestNode extends Polyglot.Node {
+    constructor(polyInterface, primary, address, name) {
+      super('TESTNODE', polyInterface, primary, address, name);
+
+      this.commands = {
+        // Never completes
+        HANG: function() {
+          return new Promise(function() {});
+        },
+        // Completes when release() is called
+        WAIT: function() {
+          return new Promise(function(resolve) {
+            release = resolve;
+          });
+        },
+        DON: function() {},
+      };
+    }
+  }
+
+  TestNode.nodeDefId = 'TESTNODE';
+
+  async function start(queueOptions) {
+    sim = new Polyglot.Simulator();
+    poly = sim.createInterface([TestNode], { queue: queueOptions });
+
+    await poly.start();
+    await sim.idle();
+    await poly.addNode(new TestNode(poly, 'node1', 'node1', 'Node 1'));
+    await sim.idle();
+    sim.clearSent();
+  }
+
+  afterEach(async function() {
+    await poly.stop();
+  });
+
+  it('reports a failure to ISY for a command timing out', async function() {
+    await start({ timeout: 20 });
+
+    sim.sendCommand('node1', 'HANG', null, null, { requestId: '1' });
+    await sim.idle();
+
+    sim.assertSent('report', { requestId: '1', success: false });
+  });
+
+  it('reports a failure to ISY for a dropped command', async function() {
+    await start({ maxDepth: 1 });
+
+    sim.sendCommand('node1', 'WAIT', null, null, { requestId: '1' });
+    await started();
+    sim.sendCommand('node1', 'DON', null, null, { requestId: '2' });
+    sim.sendCommand('node1', 'DON', null, null, { requestId: '3' });
+
+    sim.assertSent('report', { requestId: '2', success: false });
+
+    release();
+    await sim.idle();
+
+    sim.assertSent('report', { requestId: '1', success: true });
+    sim.assertSent('report', { requestId: '3', success: true });
+  });
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+const assert = require('assert');
+const Polyglot = require('..');
+
+class TestNode extends Polyglot.Node {
+  constructor(polyInterface, primary, address, name) {
+    super('TESTNODE', polyInterface, primary, address, name);
+
+    this.commands = {
+      DON: this.onDON,
+      DOF: this.onDOF,
+    };
+
+    this.drivers = {
+      ST: { value: '0', uom: 51 },
+    };
+  }
+
+  onDON(message) {
+    this.setDriver('ST', message.value ? message.value : '100', true, true);
+  }
+
+  onDOF() {
+    this.setDriver('ST', '0', true, true);
+  }
+}
+
+TestNode.nodeDefId = 'TESTNODE';
+
+describe('Simulator', function() {
+  let sim;
+  let poly;
+
+  beforeEach(async function() {
+    sim = new Polyglot.Simulator({ config: { customParams: { user: 'me' }}});
+    poly = sim.createInterface([TestNode]);
+
+    await poly.start();
+    await sim.idle();
+  });
+
+  afterEach(async function() {
+    await poly.stop();
+  });
+
+  it('connects the interface and sends the config', function() {
+    assert.strictEqual(poly.isConnected(), true);
+    assert.deepStrictEqual(poly.getCustomParams(), { user: 'me' });
+  });
+
+  it('adds a node', async function() {
+    await poly.addNode(new TestNode(poly, 'node1', 'node1', 'Node 1'));
+
+    sim.assertSent('addnode', { address: 'node1', nodedefid: 'TESTNODE' });
+    assert.ok(sim.config.nodes.node1, 'Node not in the simulator config');
+
+    const node = poly.getNode('node1');
+    assert.ok(node instanceof TestNode);
+    assert.strictEqual(node.name, 'Node 1');
+  });
+
+  it('runs a command and reports the driver', async function() {
+    await poly.addNode(new TestNode(poly, 'node1', 'node1', 'Node 1'));
+    sim.clearSent();
+
+    sim.sendCommand('node1', 'DON', 75, 51);
+    await sim.idle();
+
+    sim.assertSent('status', { address: 'node1', driver: 'ST', value: '75' });
+    assert.strictEqual(poly.getNode('node1').getDriver('ST').value, '75');
+
+    sim.sendCommand('node1', 'DOF');
+    await sim.idle();
+
+    assert.strictEqual(sim.lastSent('status').status.value, '0');
+  });
+
+  it('reconnects after a disconnect', async function() {
+    sim.disconnect();
+    assert.strictEqual(poly.isConnected(), false);
+
+    sim.reconnect();
+    await sim.idle();
+
+    assert.strictEqual(poly.isConnected(), true);
+    sim.assertSent('connected', true);
+  });
+});
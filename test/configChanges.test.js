@@ -0,0 +1,131 @@
+'use strict';
+
+const assert = require('assert');
+const Polyglot = require('..');
+
+class TestNode extends Polyglot.Node {
+  constructor(polyInterface, primary, address, name) {
+    super('TESTNODE', polyInterface, primary, address, name);
+
+    this.drivers = {
+      ST: { value: '0', uom: 51 },
+    };
+  }
+}
+
+TestNode.nodeDefId = 'TESTNODE';
+
+const changeEvents = ['customParamsChanged', 'customDataChanged',
+  'noticesChanged', 'pollsChanged', 'nodesChanged'];
+
+describe('config changes', function() {
+  let sim;
+  let poly;
+  let configs;
+  let events;
+
+  beforeEach(async function() {
+    sim = new Polyglot.Simulator({ config: { customParams: { a: '1' }}});
+    poly = sim.createInterface([TestNode]);
+
+    configs = [];
+    events = [];
+
+    poly.on('config', function(config) {
+      configs.push(config);
+    });
+
+    changeEvents.forEach(function(event) {
+      poly.on(event, function(changes) {
+        events.push({ event: event, changes: changes });
+      });
+    });
+
+    await poly.start();
+    await sim.idle();
+  });
+
+  afterEach(async function() {
+    await poly.stop();
+  });
+
+  function lastConfig() {
+    return configs[configs.length - 1];
+  }
+
+  it('reports everything as added on the initial config', function() {
+    const config = lastConfig();
+
+    assert.strictEqual(config.isInitialConfig, true);
+    assert.deepStrictEqual(config.changes.customParams.added, { a: '1' });
+    assert.deepStrictEqual(config.changes.polls.added,
+      { shortPoll: 10, longPoll: 60 });
+    assert.strictEqual(config.changes.notices.hasChanges, false);
+  });
+
+  it('reports the parts of the config that changed', async function() {
+    events = [];
+
+    sim.sendConfig({ customParams: { a: '2', b: '3' }});
+    await sim.idle();
+
+    const changes = lastConfig().changes;
+    assert.deepStrictEqual(changes.customParams.added, { b: '3' });
+    assert.deepStrictEqual(changes.customParams.changed,
+      { a: { oldValue: '1', newValue: '2' }});
+    assert.strictEqual(changes.customData.hasChanges, false);
+
+    assert.deepStrictEqual(events.map(function(e) {
+      return e.event;
+    }), ['customParamsChanged']);
+    assert.strictEqual(events[0].changes, changes.customParams);
+  });
+
+  it('reports the nodes added, changed and removed', async function() {
+    await poly.addNode(new TestNode(poly, 'node1', 'node1', 'Node 1'));
+    await sim.idle();
+
+    let changes = lastConfig().changes.nodes;
+    assert.deepStrictEqual(Object.keys(changes.added), ['node1']);
+
+    sim.config.nodes.node1.name = 'Renamed';
+    sim.sendConfig();
+    await sim.idle();
+
+    changes = lastConfig().changes.nodes;
+    assert.deepStrictEqual(changes.changed.node1.newValue.name, 'Renamed');
+
+    poly.delNode(poly.getNode('node1'));
+    await sim.idle();
+
+    changes = lastConfig().changes.nodes;
+    assert.deepStrictEqual(Object.keys(changes.removed), ['node1']);
+  });
+
+  it('compares the config processed on reconnect', async function() {
+    events = [];
+
+    sim.disconnect();
+    sim.reconnect();
+    await sim.idle();
+
+    const config = lastConfig();
+    assert.strictEqual(config.isInitialConfig, true);
+    assert.strictEqual(config.changes.customParams.hasChanges, false);
+    assert.deepStrictEqual(events, []);
+  });
+
+  it('keeps the driver values reported before a reconnect', async function() {
+    await poly.addNode(new TestNode(poly, 'node1', 'node1', 'Node 1'));
+    await sim.idle();
+
+    poly.getNode('node1').setDriver('ST', '50');
+    await sim.idle();
+
+    sim.disconnect();
+    sim.reconnect();
+    await sim.idle();
+
+    assert.strictEqual(poly.getNode('node1').drivers.ST.value, '50');
+  });
+});
@@ -0,0 +1,134 @@
+'use strict';
+
+const assert = require('assert');
+const Polyglot = require('..');
+
+class TestNode extends Polyglot.Node {
+  constructor(polyInterface, primary, address, name) {
+    super('TESTNODE', polyInterface, primary, address, name);
+
+    this.drivers = {
+      ST: { value: '0', uom: 56 },
+      GV0: { value: '0', uom: 56, deadband: 5 },
+      GV1: { value: '0', uom: 56, minInterval: 0.05 },
+      GV2: { value: '0', uom: 56, maxSilence: 0.1 },
+    };
+  }
+}
+
+TestNode.nodeDefId = 'TESTNODE';
+
+function delay(ms) {
+  return new Promise(function(resolve) {
+    setTimeout(resolve, ms);
+  });
+}
+
+describe('driver reports', function() {
+  let sim;
+  let poly;
+  let node;
+
+  beforeEach(async function() {
+    sim = new Polyglot.Simulator();
+    poly = sim.createInterface([TestNode]);
+
+    await poly.start();
+    await sim.idle();
+    await poly.addNode(new TestNode(poly, 'node1', 'node1', 'Node 1'));
+    await sim.idle();
+
+    node = poly.getNode('node1');
+    sim.clearSent();
+  });
+
+  afterEach(async function() {
+    await poly.stop();
+  });
+
+  // Values reported for a driver
+  function reported(driver) {
+    return sim.getSent('status').filter(function(sent) {
+      return sent.status.driver === driver;
+    }).map(function(sent) {
+      return sent.status.value;
+    });
+  }
+
+  it('reports the changes beyond the deadband', function() {
+    node.setDriver('GV0', '3');
+    node.setDriver('GV0', '6');
+    node.setDriver('GV0', '9');
+    node.setDriver('GV0', '10');
+    node.setDriver('GV0', '11', true, true);
+
+    assert.deepStrictEqual(reported('GV0'), ['3', '9', '11']);
+  });
+
+  it('reports the latest value once minInterval is over', async function() {
+    node.setDriver('GV1', '1');
+    node.setDriver('GV1', '2');
+    node.setDriver('GV1', '3');
+
+    assert.deepStrictEqual(reported('GV1'), ['1']);
+
+    await delay(100);
+    assert.deepStrictEqual(reported('GV1'), ['1', '3']);
+  });
+
+  it('reports again after maxSilence', async function() {
+    node.setDriver('GV2', '1');
+
+    await delay(150);
+    assert.deepStrictEqual(reported('GV2'), ['1', '1']);
+  });
+
+  it('coalesces the reports with reportBatchDelay', async function() {
+    node.reportBatchDelay = 20;
+
+    node.setDriver('ST', '1');
+    node.setDriver('GV0', '10');
+    node.setDriver('ST', '2');
+
+    assert.deepStrictEqual(sim.getSent('status'), []);
+
+    await delay(50);
+    assert.deepStrictEqual(reported('ST'), ['2']);
+    assert.deepStrictEqual(reported('GV0'), ['10']);
+  });
+
+  it('sends the pending reports with flushReports', function() {
+    node.reportBatchDelay = 1000;
+
+    node.setDriver('ST', '1');
+    node.setDriver('GV1', '1');
+    node.setDriver('GV1', '2');
+
+    node.flushReports();
+
+    // GV1 was still in the batch: only the latest value is sent
+    assert.deepStrictEqual(reported('ST'), ['1']);
+    assert.deepStrictEqual(reported('GV1'), ['2']);
+  });
+
+  it('keeps the values not yet reported when a config is received',
+    async function() {
+      node.reportBatchDelay = 1000;
+
+      node.setDriver('ST', '1');
+      node.setDriver('GV1', '1');
+      node.setDriver('GV1', '2');
+
+      sim.sendConfig();
+      await sim.idle();
+
+      // Batched, and held by minInterval
+      assert.strictEqual(node.drivers.ST.value, '1');
+      assert.strictEqual(node.drivers.GV1.value, '2');
+      assert.strictEqual(node.drivers.GV1.minInterval, 0.05);
+
+      node.flushReports();
+      assert.deepStrictEqual(reported('ST'), ['1']);
+      assert.deepStrictEqual(reported('GV1'), ['2']);
+    });
+});
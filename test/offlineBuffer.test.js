@@ -0,0 +1,120 @@
+'use strict';
+
+const assert = require('assert');
+const Polyglot = require('..');
+
+class TestNode extends Polyglot.Node {
+  constructor(polyInterface, primary, address, name) {
+    super('TESTNODE', polyInterface, primary, address, name);
+
+    this.drivers = {
+      ST: { value: '0', uom: 51 },
+      GV0: { value: '0', uom: 56 },
+    };
+  }
+}
+
+TestNode.nodeDefId = 'TESTNODE';
+
+describe('offlineBuffer', function() {
+  let sim;
+  let poly;
+  let node;
+
+  async function start(options) {
+    sim = new Polyglot.Simulator();
+    poly = sim.createInterface([TestNode], options);
+
+    await poly.start();
+    await sim.idle();
+    await poly.addNode(new TestNode(poly, 'node1', 'node1', 'Node 1'));
+
+    node = poly.getNode('node1');
+    sim.disconnect();
+    sim.clearSent();
+  }
+
+  afterEach(async function() {
+    await poly.stop();
+  });
+
+  it('loses the messages sent while offline by default', async function() {
+    await start();
+
+    node.setDriver('ST', '10');
+    assert.strictEqual(poly.getOfflineBufferStats(), null);
+
+    sim.reconnect();
+    await sim.idle();
+
+    sim.assertNotSent('status');
+  });
+
+  it('sends the buffered messages in order on reconnect', async function() {
+    await start({ offlineBuffer: true });
+
+    let flushed = null;
+    poly.on('offlineBufferFlushed', function(count) {
+      flushed = count;
+    });
+
+    node.setDriver('ST', '10');
+    node.setDriver('GV0', '5');
+    node.setDriver('ST', '20');
+
+    assert.deepStrictEqual(poly.getOfflineBufferStats(), {
+      length: 2,
+      maxSize: 1000,
+      buffered: 3,
+      coalesced: 1,
+      dropped: 0,
+      flushed: 0,
+    });
+
+    sim.reconnect();
+    await sim.idle();
+
+    // The ST values are coalesced, the latest is sent after GV0
+    const status = sim.getSent('status').map(function(sent) {
+      return sent.status.driver + '=' + sent.status.value;
+    });
+
+    assert.deepStrictEqual(status, ['GV0=5', 'ST=20']);
+    assert.strictEqual(flushed, 2);
+    assert.strictEqual(poly.getOfflineBufferStats().length, 0);
+  });
+
+  it('waits for the connection, not the reconnect attempt', async function() {
+    await start({ offlineBuffer: true });
+
+    node.setDriver('ST', '10');
+
+    sim.reconnect(false);
+    await sim.idle();
+
+    assert.strictEqual(poly.isConnected(), false);
+    sim.assertNotSent('status');
+
+    sim.connect();
+    await sim.idle();
+
+    sim.assertSent('status', { driver: 'ST', value: '10' });
+  });
+
+  it('drops the oldest message when full', async function() {
+    await start({ offlineBuffer: 2 });
+
+    const dropped = [];
+    poly.on('messageDropped', function(message) {
+      dropped.push(message);
+    });
+
+    poly.saveNotices({ a: 'A' });
+    poly.saveNotices({ b: 'B' });
+    poly.saveNotices({ c: 'C' });
+
+    assert.strictEqual(dropped.length, 1);
+    assert.deepStrictEqual(dropped[0].notices, { a: 'A' });
+    assert.strictEqual(poly.getOfflineBufferStats().dropped, 1);
+  });
+});
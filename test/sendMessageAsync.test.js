@@ -0,0 +1,115 @@
+'use strict';
+
+const assert = require('assert');
+const events = require('events');
+const Polyglot = require('..');
+
+// Minimal AbortSignal
+function createSignal() {
+  const signal = new events.EventEmitter();
+
+  signal.aborted = false;
+  signal.addEventListener = signal.on;
+  signal.removeEventListener = signal.removeListener;
+  signal.abort = function() {
+    signal.aborted = true;
+    signal.emit('abort');
+  };
+
+  return signal;
+}
+
+function addNodeMessage(address) {
+  return { addnode: {
+    address: address,
+    name: address,
+    nodedefid: 'TESTNODE',
+    primary: address,
+    drivers: {},
+  }};
+}
+
+describe('sendMessageAsync', function() {
+  let sim;
+  let poly;
+
+  beforeEach(async function() {
+    sim = new Polyglot.Simulator({ autoResult: false });
+    poly = sim.createInterface([]);
+
+    await poly.start();
+    await sim.idle();
+  });
+
+  afterEach(async function() {
+    await poly.stop();
+  });
+
+  it('resolves requests in order with the result reason', async function() {
+    const first = poly.sendMessageAsync('addnode-node1',
+      addNodeMessage('node1'));
+    const second = poly.sendMessageAsync('addnode-node1',
+      addNodeMessage('node1'));
+
+    const pending = poly.getPendingRequests();
+    assert.strictEqual(pending.length, 2);
+    assert.ok(pending[0].id !== pending[1].id, 'Request ids are not unique');
+    assert.strictEqual(pending[0].key, 'addnode-node1');
+
+    sim.sendResult({ addnode: { success: true, reason: 'first',
+      address: 'node1' }});
+    sim.sendResult({ addnode: { success: true, reason: 'second',
+      address: 'node1' }});
+
+    assert.strictEqual(await first, 'first');
+    assert.strictEqual(await second, 'second');
+    assert.strictEqual(poly.getPendingRequests().length, 0);
+  });
+
+  it('rejects with a resultError on failure', async function() {
+    const request = poly.sendMessageAsync('addnode-node1',
+      addNodeMessage('node1'));
+
+    sim.sendResult({ addnode: { success: false, reason: 'Invalid node',
+      address: 'node1' }});
+
+    await assert.rejects(request, { name: 'resultError',
+      message: 'Invalid node' });
+  });
+
+  it('rejects with a timeout', async function() {
+    const request = poly.sendMessageAsync('addnode-node1',
+      addNodeMessage('node1'), { timeout: 10 });
+
+    await assert.rejects(request, { name: 'timeout' });
+    assert.strictEqual(poly.getPendingRequests().length, 0);
+  });
+
+  it('can be cancelled with a signal', async function() {
+    const signal = createSignal();
+    const request = poly.sendMessageAsync('addnode-node1',
+      addNodeMessage('node1'), { signal: signal });
+
+    signal.abort();
+
+    await assert.rejects(request, { name: 'AbortError' });
+    assert.strictEqual(poly.getPendingRequests().length, 0);
+    assert.strictEqual(signal.listenerCount('abort'), 0);
+  });
+
+  it('rejects the pending requests on stop', async function() {
+    const request = poly.sendMessageAsync('addnode-node1',
+      addNodeMessage('node1'));
+
+    const rejected = assert.rejects(request, { name: 'disconnected' });
+    await poly.stop();
+    await rejected;
+  });
+
+  it('rejects when not connected', async function() {
+    sim.disconnect();
+
+    await assert.rejects(poly.sendMessageAsync('addnode-node1',
+      addNodeMessage('node1')), /Polyglot not connected/);
+  });
+});
@@ -0,0 +1,129 @@
+'use strict';
+
+const assert = require('assert');
+const Polyglot = require('..');
+
+class ControllerNode extends Polyglot.Node {
+  constructor(polyInterface, primary, address, name) {
+    super('CONTROLLER', polyInterface, primary, address, name);
+
+    this.isController = true;
+  }
+}
+
+ControllerNode.nodeDefId = 'CONTROLLER';
+
+class LightNode extends Polyglot.Node {
+  constructor(polyInterface, primary, address, name) {
+    super('LIGHT', polyInterface, primary, address, name);
+  }
+}
+
+LightNode.nodeDefId = 'LIGHT';
+
+class DimmerNode extends Polyglot.Node {
+  constructor(polyInterface, primary, address, name) {
+    super('DIMMER', polyInterface, primary, address, name);
+  }
+}
+
+DimmerNode.nodeDefId = 'DIMMER';
+
+function addresses(entries) {
+  return entries.map(function(entry) {
+    return entry.address;
+  }).sort();
+}
+
+describe('syncNodes', function() {
+  let sim;
+  let poly;
+
+  beforeEach(async function() {
+    sim = new Polyglot.Simulator();
+    poly = sim.createInterface([ControllerNode, LightNode, DimmerNode]);
+
+    await poly.start();
+    await sim.idle();
+
+    await poly.addNode(new ControllerNode(poly, 'ctl', 'ctl', 'Controller'));
+    await poly.addNode(new LightNode(poly, 'ctl', 'keep', 'Keep'));
+    await poly.addNode(new LightNode(poly, 'ctl', 'rename', 'Old name'));
+    await poly.addNode(new LightNode(poly, 'ctl', 'recreate', 'Recreate'));
+    await poly.addNode(new LightNode(poly, 'ctl', 'extra', 'Extra'));
+    await sim.idle();
+  });
+
+  afterEach(async function() {
+    await poly.stop();
+  });
+
+  function desiredNodes() {
+    return [
+      new LightNode(poly, 'ctl', 'keep', 'Keep'),
+      new LightNode(poly, 'ctl', 'rename', 'New name'),
+      new DimmerNode(poly, 'ctl', 'recreate', 'Recreate'),
+      new LightNode(poly, 'ctl', 'new', 'New'),
+    ];
+  }
+
+  it('plans the changes with dryRun', async function() {
+    sim.clearSent();
+
+    const plan = await poly.syncNodes(desiredNodes(), { dryRun: true });
+
+    assert.deepStrictEqual(addresses(plan.add), ['new']);
+    assert.deepStrictEqual(addresses(plan.remove), ['extra']);
+    assert.deepStrictEqual(addresses(plan.update), ['rename']);
+    assert.deepStrictEqual(addresses(plan.recreate), ['recreate']);
+    assert.deepStrictEqual(addresses(plan.unchanged), ['keep']);
+    assert.deepStrictEqual(addresses(plan.protected), ['ctl']);
+
+    assert.strictEqual(sim.sent.length, 0);
+  });
+
+  it('adds, removes, updates and re-creates the nodes', async function() {
+    let synced = null;
+    poly.on('nodesSynced', function(plan) {
+      synced = plan;
+    });
+
+    const plan = await poly.syncNodes(desiredNodes());
+    await sim.idle();
+
+    assert.strictEqual(synced, plan);
+    assert.strictEqual(plan.add[0].status, 'added');
+    assert.strictEqual(plan.remove[0].status, 'removed');
+    assert.strictEqual(plan.update[0].status, 'updated');
+    assert.strictEqual(plan.recreate[0].status, 'recreated');
+
+    assert.deepStrictEqual(Object.keys(poly.getNodes()).sort(),
+      ['ctl', 'keep', 'new', 'recreate', 'rename']);
+    assert.ok(poly.getNode('recreate') instanceof DimmerNode);
+    assert.strictEqual(poly.getNode('rename').name, 'New name');
+  });
+
+  it('keeps the protected nodes, or all with remove false', async function() {
+    let plan = await poly.syncNodes(desiredNodes(),
+      { dryRun: true, protect: ['extra'] });
+
+    assert.deepStrictEqual(addresses(plan.remove), []);
+    assert.deepStrictEqual(addresses(plan.protected), ['ctl', 'extra']);
+
+    plan = await poly.syncNodes(desiredNodes(),
+      { dryRun: true, remove: false });
+
+    assert.deepStrictEqual(addresses(plan.remove), []);
+  });
+
+  it('re-creates a node when the config nodedef changes', async function() {
+    sim.config.nodes.keep.nodedefid = 'DIMMER';
+    sim.config.nodes.keep.name = 'Renamed';
+    sim.sendConfig();
+    await sim.idle();
+
+    const node = poly.getNode('keep');
+    assert.ok(node instanceof DimmerNode);
+    assert.strictEqual(node.name, 'Renamed');
+  });
+});